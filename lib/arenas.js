@@ -0,0 +1,283 @@
+const { createStore } = require('./store');
+const { DEFAULT_TRANSITION } = require('./bus');
+const layouts = require('./layouts');
+const overlays = require('./overlays');
+const draw = require('./draw');
+const failover = require('./failover');
+
+// Arenas: each one has its own program layout, settings, sponsors and Socket.IO room
+
+const DEFAULT_ARENA = 'main';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+function defaultShowState() {
+    return {
+        displaySettings: {
+            margins: { left: 0, right: 0, top: 0, bottom: 0 },
+            colors: {
+                background: '#000000',
+                font: '#FFFFFF'
+            }
+        },
+        mobileSettings: {
+            cameraFlip: false,
+            demoMode: false,
+            mainboardPopup: false
+        },
+        sponsors: [],
+        // Devices on air per layout slot, with their fingerprints so they can be rebound after a restart
+        programLayout: layouts.fullLayout(null),
+        programSlotFingerprints: [null],
+        // Moderation decisions by device fingerprint, kept for the rest of the event
+        approvedFingerprints: [],
+        blockedDevices: [],
+        transitionDefaults: DEFAULT_TRANSITION,
+        // Graphics overlays and the event data their fields bind to
+        overlays: overlays.defaultOverlays(),
+        eventData: overlays.defaultEventData(),
+        // Imported running order and results
+        draw: draw.createDraw(),
+        // What happens when the main program source drops
+        failover: failover.defaultFailover()
+    };
+}
+
+class Arena {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        // The main arena keeps the original file name so existing show state carries over
+        this.store = createStore(id === DEFAULT_ARENA ? 'show-state' : `show-state-${id}`, defaultShowState());
+
+        const saved = this.store.load();
+        this.displaySettings = saved.displaySettings;
+        this.mobileSettings = saved.mobileSettings;
+        this.sponsors = saved.sponsors;
+        this.programLayout = saved.programLayout;
+        this.programSlotFingerprints = saved.programSlotFingerprints;
+        // Show state saved before layouts existed only has the single live device, known by name.
+        // Names are not unique, so it is not rebound.
+        if (saved.activeLiveDevice) {
+            this.programLayout = layouts.fullLayout(saved.activeLiveDevice);
+            this.programSlotFingerprints = [null];
+        }
+        this.approvedFingerprints = saved.approvedFingerprints;
+        this.blockedDevices = saved.blockedDevices;
+        this.transitionDefaults = saved.transitionDefaults;
+        // Overlays added since the show state was saved start from their template
+        this.overlays = { ...overlays.defaultOverlays(), ...saved.overlays };
+        this.eventData = saved.eventData;
+        this.draw = saved.draw;
+        this.failoverSettings = { ...failover.defaultFailover(), ...saved.failover };
+
+        // Layout cued on the preview bus, and the program transition in progress
+        this.previewLayout = layouts.fullLayout(null);
+        this.transition = null;
+        this.transitionTimer = null;
+
+        // Latest frame and name per approved contributor socket
+        this.streams = new Map();
+        this.deviceNames = new Map();
+
+        // Contributors waiting for a producer, and the fingerprint of every registered phone
+        this.pendingDevices = new Map();
+        this.fingerprints = new Map();
+
+        // Open WebRTC links ("deviceId|viewerId") and what currently carries each device's video
+        this.peerLinks = new Set();
+        this.transports = new Map();
+
+        // Adaptive frame size and rate per contributor, and what each phone reports about its health
+        this.streamStates = new Map();
+        this.telemetry = new Map();
+
+        // Sponsor slide clock and run timer, started by the server once it can reach the arena's displays
+        this.sponsorRotation = null;
+        this.runTimer = null;
+
+        // Recent frames per contributor and of the main program source, the program recording
+        // in progress and the replay on air
+        this.frameBuffers = new Map();
+        this.programBuffer = null;
+        this.recording = null;
+        this.replay = null;
+
+        // Failover in progress after the main program source dropped
+        this.failover = null;
+        // Set once the arena is deleted; its state is no longer saved
+        this.removed = false;
+    }
+
+    // Main program source, i.e. the full-screen device or slot 0 of a multi-source layout
+    get activeLiveDevice() {
+        return this.programLayout.slots[0] || null;
+    }
+
+    setProgramLayout(layout) {
+        const previous = this.programLayout;
+        // Keep the saved fingerprint of slots still waiting for their device to reconnect
+        this.programSlotFingerprints = layout.slots.map((deviceId, index) => {
+            if (this.fingerprints.has(deviceId)) return this.fingerprints.get(deviceId);
+            return deviceId && previous.slots[index] === deviceId ? this.programSlotFingerprints[index] || null : null;
+        });
+        this.programLayout = layout;
+    }
+
+    get room() {
+        return `arena:${this.id}`;
+    }
+
+    // Client roles within the arena, so frames only go to the screens that show them
+    get controlRoom() {
+        return `${this.room}:control-room`;
+    }
+
+    get displayRoom() {
+        return `${this.room}:arena-display`;
+    }
+
+    get mobileRoom() {
+        return `${this.room}:mobile`;
+    }
+
+    // Producers only: the moderation lobby and pending previews
+    get producerRoom() {
+        return `${this.room}:producers`;
+    }
+
+    // Approved devices only; pending contributors cannot be put live or linked to screens
+    hasDevice(deviceId) {
+        return this.deviceNames.has(deviceId);
+    }
+
+    isRegistered(deviceId) {
+        return this.deviceNames.has(deviceId) || this.pendingDevices.has(deviceId);
+    }
+
+    // Program sources, plus the outgoing ones while a transition is running
+    isOnAir(deviceId) {
+        if (layouts.hasSource(this.programLayout, deviceId)) return true;
+        return Boolean(this.transition && layouts.hasSource(this.transition.from, deviceId));
+    }
+
+    busState() {
+        return {
+            preview: this.previewLayout,
+            program: this.programLayout,
+            transition: this.transition,
+            defaults: this.transitionDefaults
+        };
+    }
+
+    findBlock(fingerprint) {
+        return this.blockedDevices.find(entry => entry.fingerprint === fingerprint) || null;
+    }
+
+    overlayState() {
+        return {
+            overlays: overlays.render(this.overlays, this.eventData),
+            eventData: this.eventData
+        };
+    }
+
+    failoverState() {
+        return failover.describe(this.failover);
+    }
+
+    drawState() {
+        return { entries: draw.results(this.draw), currentId: this.draw.currentId };
+    }
+
+    getSettings() {
+        return {
+            arena: { id: this.id, name: this.name },
+            display: this.displaySettings,
+            mobile: this.mobileSettings,
+            sponsors: this.sponsors,
+            sponsorSlide: this.sponsorRotation ? this.sponsorRotation.current : null,
+            timer: this.runTimer ? this.runTimer.snapshot() : null,
+            replay: this.replay ? this.replay.info : null,
+            recording: this.recording ? this.recording.meta : null,
+            activeLiveDevice: this.activeLiveDevice,
+            bus: this.busState(),
+            overlays: this.overlayState(),
+            failover: this.failoverState(),
+            transports: Object.fromEntries(this.transports)
+        };
+    }
+
+    save() {
+        if (this.removed) return;
+        try {
+            this.store.save({
+                displaySettings: this.displaySettings,
+                mobileSettings: this.mobileSettings,
+                sponsors: this.sponsors,
+                programLayout: this.programLayout,
+                programSlotFingerprints: this.programSlotFingerprints,
+                approvedFingerprints: this.approvedFingerprints,
+                blockedDevices: this.blockedDevices,
+                transitionDefaults: this.transitionDefaults,
+                overlays: this.overlays,
+                eventData: this.eventData,
+                draw: this.draw,
+                failover: this.failoverSettings
+            });
+        } catch (err) {
+            console.error(`Failed to save show state for arena ${this.id}:`, err);
+        }
+    }
+}
+
+const registryStore = createStore('arenas', {
+    arenas: [{ id: DEFAULT_ARENA, name: 'Main Arena' }]
+});
+const arenas = new Map();
+
+registryStore.load().arenas.forEach(({ id, name }) => {
+    arenas.set(id, new Arena(id, name));
+});
+if (!arenas.has(DEFAULT_ARENA)) {
+    arenas.set(DEFAULT_ARENA, new Arena(DEFAULT_ARENA, 'Main Arena'));
+}
+
+function saveRegistry() {
+    registryStore.save({ arenas: list() });
+}
+
+function get(id) {
+    return arenas.get(id || DEFAULT_ARENA) || null;
+}
+
+function all() {
+    return Array.from(arenas.values());
+}
+
+function list() {
+    return Array.from(arenas.values()).map(({ id, name }) => ({ id, name }));
+}
+
+function create(id, name) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+        throw new Error('Arena ID must be lowercase letters, digits or dashes (max 32)');
+    }
+    if (arenas.has(id)) throw new Error(`Arena "${id}" already exists`);
+    const arena = new Arena(id, name || id);
+    arenas.set(id, arena);
+    saveRegistry();
+    return arena;
+}
+
+// Also deletes the arena's show state, so an arena created later with the same ID starts clean
+function remove(id) {
+    if (id === DEFAULT_ARENA) throw new Error('The main arena cannot be removed');
+    const arena = arenas.get(id);
+    if (!arena) return false;
+    arenas.delete(id);
+    saveRegistry();
+    arena.removed = true;
+    arena.store.remove();
+    return true;
+}
+
+module.exports = { DEFAULT_ARENA, get, all, list, create, remove };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// Audit trail of operator actions. Each action is one line appended to data/audit.jsonl with who
+// did it (socket ID, operator, role, address), when, and the values before and after. The log is
+// never rewritten.
+
+const LOG_PATH = path.join(DATA_DIR, 'audit.jsonl');
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 10000;
+
+// actor: { socketId, operator, role, ip }; change: { arena, device, before, after, ...details }
+function record(action, actor, { arena = null, device = null, before, after, ...details } = {}, now = Date.now()) {
+    const entry = {
+        at: new Date(now).toISOString(),
+        action,
+        arena,
+        socketId: actor.socketId || null,
+        operator: actor.operator || null,
+        role: actor.role || null,
+        ip: actor.ip || null,
+        device
+    };
+    if (before !== undefined) entry.before = before;
+    if (after !== undefined) entry.after = after;
+    if (Object.keys(details).length) entry.details = details;
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.appendFileSync(LOG_PATH, `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+        console.error('Failed to write audit log:', err);
+    }
+    return entry;
+}
+
+function readAll() {
+    if (!fs.existsSync(LOG_PATH)) return [];
+    return fs.readFileSync(LOG_PATH, 'utf8').split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+// Entries in log order. from and to are times (ISO or epoch ms), actions a list; device matches
+// a device's socket ID, name or fingerprint.
+function query({ from, to, actions, operator, arena, socketId, device, ip } = {}) {
+    const toTime = value => (/^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime());
+    const fromMs = from === undefined ? -Infinity : toTime(from);
+    const toMs = to === undefined ? Infinity : toTime(to);
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) throw new Error('from and to must be dates or times');
+
+    return readAll().filter(entry => {
+        const at = Date.parse(entry.at);
+        if (at < fromMs || at > toMs) return false;
+        if (actions && actions.length && !actions.includes(entry.action)) return false;
+        if (operator && entry.operator !== operator) return false;
+        if (arena && entry.arena !== arena) return false;
+        if (ip && entry.ip !== ip) return false;
+        if (socketId && entry.socketId !== socketId && !(entry.device && entry.device.id === socketId)) return false;
+        if (device && !(entry.device && [entry.device.id, entry.device.name, entry.device.fingerprint].includes(device))) return false;
+        return true;
+    });
+}
+
+function toJsonl(entries) {
+    return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
+
+module.exports = { LOG_PATH, DEFAULT_LIMIT, MAX_LIMIT, record, query, toJsonl };
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// Operator accounts, sessions and role checks for pages and socket events
+
+const ROLES = ['producer', 'sponsor-manager', 'contributor', 'display'];
+
+// Roles allowed to emit each socket event. Events not listed here are refused.
+const EVENT_PERMISSIONS = {
+    'control-room-connected': ['producer', 'sponsor-manager'],
+    'arena-display-connected': ['producer', 'display'],
+    'register-mobile-device': ['contributor', 'producer'],
+    'camera-stream': ['contributor', 'producer'],
+    'device-telemetry': ['contributor', 'producer'],
+    'go-live': ['producer'],
+    'set-layout': ['producer'],
+    'cue-preview': ['producer'],
+    'cue-layout': ['producer'],
+    'take': ['producer'],
+    'set-transition': ['producer'],
+    'overlay-update': ['producer'],
+    'overlay-show': ['producer'],
+    'overlay-hide': ['producer'],
+    'overlay-animate': ['producer'],
+    'update-event-data': ['producer'],
+    'draw-next': ['producer'],
+    'draw-previous': ['producer'],
+    'draw-select': ['producer'],
+    'record-result': ['producer'],
+    'timer-start': ['producer'],
+    'timer-stop': ['producer'],
+    'timer-reset': ['producer'],
+    'replay': ['producer'],
+    'replay-stop': ['producer'],
+    'recording-start': ['producer'],
+    'recording-stop': ['producer'],
+    'clip-mark-in': ['producer'],
+    'clip-mark-out': ['producer'],
+    'update-sponsors': ['producer', 'sponsor-manager'],
+    'sponsor-rotation': ['producer', 'sponsor-manager'],
+    'sponsor-shown': ['producer', 'display'],
+    'sponsor-hidden': ['producer', 'display'],
+    'sponsor-playback': ['producer', 'display'],
+    'upload-sponsor': ['producer', 'sponsor-manager'],
+    'update-display-settings': ['producer'],
+    'update-mobile-settings': ['producer'],
+    'update-failover': ['producer'],
+    'approve-device': ['producer'],
+    'reject-device': ['producer'],
+    'block-device': ['producer'],
+    'unblock-device': ['producer'],
+    'webrtc-request': ['producer', 'sponsor-manager', 'display'],
+    'webrtc-offer': ['contributor', 'producer'],
+    'webrtc-answer': ['producer', 'sponsor-manager', 'display'],
+    'webrtc-ice-candidate': ['contributor', 'producer', 'sponsor-manager', 'display'],
+    'webrtc-state': ['contributor', 'producer', 'sponsor-manager', 'display'],
+    'webrtc-hangup': ['contributor', 'producer', 'sponsor-manager', 'display']
+};
+
+// Roles allowed to open each protected page
+const PAGE_ROLES = {
+    'control-room': ['producer', 'sponsor-manager'],
+    'arena-display': ['producer', 'display']
+};
+
+const SESSION_COOKIE = 'crowdcastr_session';
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const OPERATORS_FILE = process.env.CROWDCASTR_OPERATORS || path.join(DATA_DIR, 'operators.json');
+
+const sessions = new Map();
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    // scrypt throws on anything but a string or buffer, e.g. a JSON body with no password
+    if (typeof password !== 'string') return false;
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, 64);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function loadOperators() {
+    if (!fs.existsSync(OPERATORS_FILE)) return [];
+    return JSON.parse(fs.readFileSync(OPERATORS_FILE, 'utf8'));
+}
+
+function saveOperators(operators) {
+    fs.mkdirSync(path.dirname(OPERATORS_FILE), { recursive: true });
+    fs.writeFileSync(OPERATORS_FILE, JSON.stringify(operators, null, 2));
+}
+
+function addOperator(username, role, password) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}", expected one of: ${ROLES.join(', ')}`);
+    }
+    const operators = loadOperators().filter(op => op.username !== username);
+    operators.push({ username, role, password: hashPassword(password) });
+    saveOperators(operators);
+}
+
+function authenticate(username, password) {
+    // Re-read on every login so accounts added with the CLI apply without a restart
+    const operator = loadOperators().find(op => op.username === username);
+    if (!operator || !verifyPassword(password, operator.password)) return null;
+    return { username: operator.username, role: operator.role };
+}
+
+function createSession(operator) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { ...operator, expires: Date.now() + SESSION_TTL_MS });
+    return token;
+}
+
+function getSession(token) {
+    const session = token && sessions.get(token);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return { username: session.username, role: session.role };
+}
+
+function destroySession(token) {
+    sessions.delete(token);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index < 0) return;
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    });
+    return cookies;
+}
+
+function setSessionCookie(res, token) {
+    res.setHeader('Set-Cookie',
+        `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}`);
+}
+
+// Resolve the operator for an HTTP request from the session cookie or HTTP Basic credentials
+function operatorFromRequest(req, res) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = getSession(token);
+    if (session) return session;
+
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Basic ')) return null;
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const index = decoded.indexOf(':');
+    const operator = authenticate(decoded.slice(0, index), decoded.slice(index + 1));
+    if (operator) setSessionCookie(res, createSession(operator));
+    return operator;
+}
+
+// Express middleware guarding a page. Browsers get the native Basic auth prompt,
+// after which the session cookie also authenticates their Socket.IO connection.
+function requirePage(page) {
+    const roles = PAGE_ROLES[page];
+    return (req, res, next) => {
+        const operator = operatorFromRequest(req, res);
+        if (!operator) {
+            res.setHeader('WWW-Authenticate', 'Basic realm="CrowdCastr"');
+            return res.status(401).send('Operator login required');
+        }
+        if (!roles.includes(operator.role)) {
+            return res.status(403).send('Your role cannot open this page');
+        }
+        req.operator = operator;
+        next();
+    };
+}
+
+// Express middleware guarding an API route
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const operator = operatorFromRequest(req, res);
+        if (!operator) return res.status(401).json({ error: 'Operator login required' });
+        if (!roles.includes(operator.role)) return res.status(403).json({ error: 'Not allowed for your role' });
+        req.operator = operator;
+        next();
+    };
+}
+
+// Socket.IO middleware: logged-in operators get their role, everyone else is a contributor
+function socketMiddleware(socket, next) {
+    const token = socket.handshake.auth && socket.handshake.auth.token ||
+        parseCookies(socket.handshake.headers.cookie)[SESSION_COOKIE];
+    const session = getSession(token);
+    socket.data.operator = session || { username: null, role: 'contributor' };
+    next();
+}
+
+function canEmit(role, event) {
+    const roles = EVENT_PERMISSIONS[event];
+    return Boolean(roles && roles.includes(role));
+}
+
+// Per-socket middleware refusing events the connection's role may not send
+function eventGuard(socket) {
+    return ([event], next) => {
+        if (canEmit(socket.data.operator.role, event)) return next();
+        console.warn(`Refused "${event}" from ${socket.id} (${socket.data.operator.role})`);
+        socket.emit('not-authorized', { event });
+    };
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    addOperator,
+    authenticate,
+    createSession,
+    destroySession,
+    parseCookies,
+    setSessionCookie,
+    requirePage,
+    requireRole,
+    socketMiddleware,
+    eventGuard,
+    canEmit
+};
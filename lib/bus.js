@@ -0,0 +1,22 @@
+// Preview/program bus transitions
+
+const TRANSITIONS = ['cut', 'crossfade', 'wipe'];
+const WIPE_DIRECTIONS = ['left', 'right', 'up', 'down'];
+const MAX_DURATION_MS = 5000;
+
+const DEFAULT_TRANSITION = { type: 'cut', duration: 500, direction: 'left' };
+
+// Fill in a requested transition from the arena defaults and keep it within limits
+function normalizeTransition(input, defaults = DEFAULT_TRANSITION) {
+    const requested = input || {};
+    const type = TRANSITIONS.includes(requested.type) ? requested.type : defaults.type;
+    const duration = Number.isFinite(requested.duration) ? requested.duration : defaults.duration;
+    const direction = WIPE_DIRECTIONS.includes(requested.direction) ? requested.direction : defaults.direction;
+    return {
+        type,
+        duration: type === 'cut' ? 0 : Math.max(0, Math.min(MAX_DURATION_MS, Math.round(duration))),
+        direction
+    };
+}
+
+module.exports = { TRANSITIONS, DEFAULT_TRANSITION, normalizeTransition };
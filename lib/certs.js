@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mkcert = require('mkcert');
+
+// Local certificate authority and server certificate management
+
+const CA_VALIDITY_DAYS = 825;
+const CERT_VALIDITY_DAYS = 365;
+// Renew a little before expiry so a show never starts on a certificate that dies mid-event
+const RENEW_BEFORE_MS = 14 * 24 * 60 * 60 * 1000;
+// SHA-256 of CA keys that have been published (older releases shipped one in the repository).
+// Anyone holding them can mint certificates that phones trusting the CA accept.
+const PUBLISHED_CA_KEYS = ['4b471a2b49b47061565a7148b9017c94df29b4d1f2ef5ecb99fa4908c8e9f490'];
+
+// Hostnames and addresses the server certificate has to cover
+function certificateDomains(config) {
+    const hostname = os.hostname();
+    const domains = [
+        config.host,
+        ...config.lanAddresses.map(({ address }) => address),
+        'localhost',
+        '127.0.0.1',
+        hostname,
+        `${hostname}.local`
+    ];
+    return Array.from(new Set(domains.filter(Boolean)));
+}
+
+function readPair(keyPath, certPath) {
+    if (!fs.existsSync(keyPath) || !fs.existsSync(certPath)) return null;
+    return { key: fs.readFileSync(keyPath, 'utf8'), cert: fs.readFileSync(certPath, 'utf8') };
+}
+
+function writePair(keyPath, certPath, { key, cert }) {
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.mkdirSync(path.dirname(certPath), { recursive: true });
+    fs.writeFileSync(keyPath, key, { mode: 0o600 });
+    // The mode above only applies when the file is created
+    fs.chmodSync(keyPath, 0o600);
+    fs.writeFileSync(certPath, cert);
+}
+
+function keyFingerprint(key) {
+    const der = crypto.createPrivateKey(key).export({ type: 'pkcs8', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+function isExpiring(x509) {
+    return new Date(x509.validTo).getTime() - Date.now() < RENEW_BEFORE_MS;
+}
+
+// Reason the CA needs to be recreated, or null if it is usable
+function caProblem(pair) {
+    if (!pair) return 'missing';
+    const x509 = new crypto.X509Certificate(pair.cert);
+    if (!x509.ca) return 'not a CA certificate';
+    if (PUBLISHED_CA_KEYS.includes(keyFingerprint(pair.key))) return 'the CA key is public';
+    if (isExpiring(x509)) return `expires ${x509.validTo}`;
+    return null;
+}
+
+// Reason the server certificate needs to be reissued, or null if it is usable
+function certProblem(pair, caPair, domains) {
+    if (!pair) return 'missing';
+    const x509 = new crypto.X509Certificate(pair.cert);
+    if (isExpiring(x509)) return `expires ${x509.validTo}`;
+
+    const ca = new crypto.X509Certificate(caPair.cert);
+    if (!x509.checkIssued(ca) || !x509.verify(ca.publicKey)) return 'not issued by the local CA';
+
+    const names = String(x509.subjectAltName || '').split(',').map(name => name.trim().replace(/^(DNS|IP Address):/, ''));
+    const missing = domains.filter(domain => !names.includes(domain));
+    if (missing.length) return `missing SAN ${missing.join(', ')}`;
+    return null;
+}
+
+// Make sure the CA and server certificate exist, are current and cover this venue's addresses
+async function ensureCertificates(config, { force = false } = {}) {
+    const { tls } = config;
+    const domains = certificateDomains(config);
+
+    let caPair = readPair(tls.caKey, tls.caCert);
+    const caReason = caProblem(caPair);
+    if (caReason) {
+        console.warn(`Creating local CA (${caReason}). Phones must install the new /ca.crt to trust the server.`);
+        caPair = await mkcert.createCA({
+            organization: 'CrowdCastr Local CA',
+            countryCode: 'US',
+            state: 'Nevada',
+            locality: 'Reno',
+            validity: CA_VALIDITY_DAYS
+        });
+        writePair(tls.caKey, tls.caCert, caPair);
+    }
+
+    let pair = readPair(tls.key, tls.cert);
+    const reason = caReason ? 'new CA' : force ? 'forced' : certProblem(pair, caPair, domains);
+    if (reason) {
+        console.log(`Issuing server certificate for ${domains.join(', ')} (${reason})`);
+        pair = await mkcert.createCert({
+            ca: { key: caPair.key, cert: caPair.cert },
+            domains,
+            validity: CERT_VALIDITY_DAYS
+        });
+        // Serve the chain so clients that trust the CA can verify without extra config
+        pair = { key: pair.key, cert: `${pair.cert}${caPair.cert}` };
+        writePair(tls.key, tls.cert, pair);
+    }
+
+    return { key: pair.key, cert: pair.cert, renewed: Boolean(reason), domains };
+}
+
+module.exports = { certificateDomains, ensureCertificates };
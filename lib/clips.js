@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const { DATA_DIR, createStore } = require('./store');
+const tar = require('./tar');
+
+// Highlight clips cut from the replay buffers or a program recording. The library index lives in
+// data/clips.json; each clip's JPEG frames are in data/clips/<id>.bin with their timing in
+// data/clips/<id>.json. Exports are built on request.
+
+const CLIPS_DIR = path.join(DATA_DIR, 'clips');
+const MAX_CLIP_MS = 5 * 60 * 1000;
+const FFMPEG = process.env.CROWDCASTR_FFMPEG || 'ffmpeg';
+const ANIMATION_FORMATS = ['webp', 'gif'];
+// Animated exports are scaled down and thinned out so a five minute clip stays small in memory
+const ANIMATION_WIDTH = 480;
+const MAX_ANIMATION_FRAMES = 300;
+// Browsers play shorter GIF delays far slower than asked
+const MIN_ANIMATION_DELAY_MS = 20;
+
+const store = createStore('clips', { clips: [] });
+
+function list() {
+    return store.load().clips;
+}
+
+function get(id) {
+    return list().find(clip => clip.id === id) || null;
+}
+
+// Case-insensitive match on the text fields, with exact filters for arena
+function search({ q, event, contributor, arena } = {}) {
+    const has = (value, needle) => String(value || '').toLowerCase().includes(String(needle).toLowerCase());
+    return list()
+        .filter(clip => !arena || clip.arena === arena)
+        .filter(clip => !event || has(clip.event, event))
+        .filter(clip => !contributor || clip.contributors.some(name => has(name, contributor)))
+        .filter(clip => !q || [clip.title, clip.event, clip.contestant, ...clip.contributors, ...clip.tags].some(value => has(value, q)))
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+function jpegBytes(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    return comma > 0 && dataUrl.startsWith('data:image/jpeg') ? Buffer.from(dataUrl.slice(comma + 1), 'base64') : null;
+}
+
+// frames: [{ at, source, data }] with JPEG data URLs; details: title, arena, source, contributors,
+// event, contestant, tags, createdBy
+function create(frames, details) {
+    const usable = frames.map(frame => ({ ...frame, bytes: jpegBytes(frame.data) })).filter(frame => frame.bytes);
+    if (usable.length === 0) throw new Error('No frames in that range');
+    const startedAt = usable[0].at;
+    const endedAt = usable[usable.length - 1].at;
+    if (endedAt - startedAt > MAX_CLIP_MS) throw new Error('Clips are limited to 5 minutes');
+
+    const id = crypto.randomUUID();
+    const index = [];
+    let offset = 0;
+    usable.forEach(frame => {
+        index.push({ at: frame.at, source: frame.source, offset, length: frame.bytes.length });
+        offset += frame.bytes.length;
+    });
+
+    fs.mkdirSync(CLIPS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(CLIPS_DIR, `${id}.bin`), Buffer.concat(usable.map(frame => frame.bytes)));
+    fs.writeFileSync(path.join(CLIPS_DIR, `${id}.json`), JSON.stringify(index));
+
+    const durationMs = endedAt - startedAt;
+    const clip = {
+        id,
+        title: String(details.title || '').trim().slice(0, 200) || `Clip ${new Date(startedAt).toISOString()}`,
+        arena: details.arena,
+        source: details.source,
+        contributors: details.contributors || [],
+        event: details.event || null,
+        contestant: details.contestant || null,
+        tags: Array.isArray(details.tags) ? details.tags.map(tag => String(tag).slice(0, 50)) : [],
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs,
+        frames: usable.length,
+        // Average rate, used when exporting to video
+        fps: durationMs > 0 ? Math.round(((usable.length - 1) / durationMs) * 10000) / 10 : 1,
+        createdBy: details.createdBy || null,
+        createdAt: new Date().toISOString()
+    };
+    const library = store.load();
+    library.clips.push(clip);
+    store.save(library);
+    return clip;
+}
+
+function readFrames(clip) {
+    const index = JSON.parse(fs.readFileSync(path.join(CLIPS_DIR, `${clip.id}.json`), 'utf8'));
+    const data = fs.readFileSync(path.join(CLIPS_DIR, `${clip.id}.bin`));
+    return index.map(entry => ({ at: entry.at, source: entry.source, bytes: data.subarray(entry.offset, entry.offset + entry.length) }));
+}
+
+// Numbered JPEGs plus a timing file, for editors that import image sequences
+function imageSequence(clip) {
+    const frames = readFrames(clip);
+    const name = index => `frame-${String(index + 1).padStart(5, '0')}.jpg`;
+    const timing = frames.map((frame, index) => ({ file: name(index), offsetMs: frame.at - frames[0].at }));
+    return tar.create([
+        { name: 'clip.json', data: Buffer.from(JSON.stringify({ ...clip, timing }, null, 2)) },
+        ...frames.map((frame, index) => ({ name: name(index), data: frame.bytes, mtime: frame.at }))
+    ]);
+}
+
+// Encode with the system ffmpeg; resolves to null when ffmpeg is not installed
+function encodeMp4(clip) {
+    return new Promise((resolve, reject) => {
+        // Unique per export, so concurrent downloads of a clip do not share a file
+        const output = path.join(CLIPS_DIR, `${clip.id}-${crypto.randomUUID()}.mp4.tmp`);
+        const ffmpeg = spawn(FFMPEG, [
+            '-loglevel', 'error', '-y',
+            '-f', 'image2pipe', '-framerate', String(Math.max(1, clip.fps)), '-i', '-',
+            '-c:v', 'libx264', '-pix_fmt', 'yuv420p',
+            // x264 needs even dimensions
+            '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+            '-movflags', '+faststart', '-f', 'mp4', output
+        ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+        let errors = '';
+        ffmpeg.stderr.on('data', chunk => { errors += chunk; });
+        ffmpeg.on('error', (err) => {
+            if (err.code === 'ENOENT') resolve(null);
+            else reject(err);
+        });
+        ffmpeg.on('close', (code, signal) => {
+            if (code !== 0) {
+                fs.rmSync(output, { force: true });
+                const reason = signal ? `stopped by ${signal}` : `exit code ${code}`;
+                reject(new Error(`ffmpeg failed: ${errors.trim() || reason}`));
+                return;
+            }
+            const video = fs.readFileSync(output);
+            fs.rmSync(output, { force: true });
+            resolve(video);
+        });
+        // ffmpeg may exit early; the error is reported by "close"
+        ffmpeg.stdin.on('error', () => {});
+        readFrames(clip).forEach(frame => ffmpeg.stdin.write(frame.bytes));
+        ffmpeg.stdin.end();
+    });
+}
+
+// Animated WebP or GIF, keeping the original frame spacing
+async function encodeAnimation(clip, format) {
+    if (!ANIMATION_FORMATS.includes(format)) throw new Error(`Animation format must be one of ${ANIMATION_FORMATS.join(', ')}`);
+    const all = readFrames(clip);
+    const step = Math.ceil(all.length / MAX_ANIMATION_FRAMES);
+    const frames = all.filter((frame, index) => index % step === 0);
+
+    // Every page has the first frame's size; frames from other sources are letterboxed into it
+    const first = await sharp(frames[0].bytes).metadata();
+    const width = Math.min(first.width, ANIMATION_WIDTH);
+    const height = Math.max(1, Math.round((first.height * width) / first.width));
+    const pages = [];
+    for (const frame of frames) {
+        pages.push(await sharp(frame.bytes)
+            .resize(width, height, { fit: 'contain', background: '#000000' })
+            .removeAlpha()
+            .raw()
+            .toBuffer());
+    }
+
+    const fallbackDelay = Math.round(1000 / Math.max(1, clip.fps)) * step;
+    const delay = frames.map((frame, index) => {
+        const next = frames[index + 1];
+        return Math.max(MIN_ANIMATION_DELAY_MS, next ? next.at - frame.at : fallbackDelay);
+    });
+    return sharp(Buffer.concat(pages), { raw: { width, height: height * pages.length, channels: 3, pageHeight: height } })[format]({ loop: 0, delay })
+        .toBuffer();
+}
+
+function remove(id) {
+    const library = store.load();
+    if (!library.clips.some(clip => clip.id === id)) return false;
+    library.clips = library.clips.filter(clip => clip.id !== id);
+    store.save(library);
+    ['bin', 'json'].forEach(extension => fs.rmSync(path.join(CLIPS_DIR, `${id}.${extension}`), { force: true }));
+    return true;
+}
+
+module.exports = { MAX_CLIP_MS, ANIMATION_FORMATS, list, get, search, create, imageSequence, encodeMp4, encodeAnimation, remove };
@@ -0,0 +1,50 @@
+// Per-client clock offset, measured over the client's own Socket.IO connection. The server pings
+// with its time, the client answers with its own, and the sample with the shortest round trip
+// wins. Clients get `clock-offset` and compute server time as Date.now() - offsetMs.
+
+const SAMPLES = 5;
+const SAMPLE_TIMEOUT_MS = 2000;
+const RESYNC_INTERVAL_MS = 30000;
+
+async function measure(socket) {
+    let best = null;
+    for (let i = 0; i < SAMPLES && socket.connected; i++) {
+        const sentAt = Date.now();
+        let answer;
+        try {
+            answer = await socket.timeout(SAMPLE_TIMEOUT_MS).emitWithAck('clock-ping', { serverTime: sentAt });
+        } catch (err) {
+            // A lost ping on flaky Wi-Fi costs one sample, not the whole measurement
+            continue;
+        }
+        const clientTime = Number(answer);
+        const receivedAt = Date.now();
+        if (!Number.isFinite(clientTime)) continue;
+        const rttMs = receivedAt - sentAt;
+        // The client read its clock halfway through the round trip
+        const offsetMs = Math.round(clientTime - (sentAt + rttMs / 2));
+        if (!best || rttMs < best.rttMs) best = { offsetMs, rttMs };
+    }
+    return best;
+}
+
+function attachClockSync(socket) {
+    let timer = null;
+
+    function sync() {
+        measure(socket).then((result) => {
+            if (!result || !socket.connected) return;
+            socket.data.clock = { ...result, measuredAt: Date.now() };
+            socket.emit('clock-offset', result);
+        }).catch((err) => {
+            // Try again at the next resync
+            console.error('Clock sync failed:', err);
+        });
+    }
+
+    sync();
+    timer = setInterval(sync, RESYNC_INTERVAL_MS);
+    socket.on('disconnect', () => clearInterval(timer));
+}
+
+module.exports = { attachClockSync };
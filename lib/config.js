@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// Server configuration: defaults, then config file, then environment, then CLI flags
+
+const DEFAULTS = {
+    // Address phones use to reach the server. Detected from the LAN interfaces when unset.
+    host: null,
+    // Network interface to take the host address from, e.g. "en0" or "wlan0"
+    interface: null,
+    // Address the listeners bind to
+    bind: '0.0.0.0',
+    port: 3000,
+    // Kept with the runtime data so keys never end up in the repository
+    tls: {
+        key: path.join(DATA_DIR, 'tls', 'cert.key'),
+        cert: path.join(DATA_DIR, 'tls', 'cert.crt'),
+        caKey: path.join(DATA_DIR, 'tls', 'ca.key'),
+        caCert: path.join(DATA_DIR, 'tls', 'ca.crt'),
+        // Issue and renew the server certificate from the local CA. Turn off to use your own certificate.
+        manage: true
+    },
+    // Optional plain HTTP listener for running behind a TLS-terminating reverse proxy
+    httpPort: null,
+    // Externally visible base URL when behind a proxy, e.g. "https://board.example.com"
+    publicUrl: null,
+    trustProxy: false,
+    // STUN/TURN servers handed to browsers for WebRTC. Empty works on a single LAN.
+    iceServers: [],
+    // Seconds of recent frames kept in memory per contributor and for program, for instant replay
+    replayBufferSeconds: 30
+};
+
+// Environment variable and CLI flag for each setting
+const OPTIONS = [
+    { key: 'host', env: 'CROWDCASTR_HOST', flag: '--host' },
+    { key: 'interface', env: 'CROWDCASTR_INTERFACE', flag: '--interface' },
+    { key: 'bind', env: 'CROWDCASTR_BIND', flag: '--bind' },
+    { key: 'port', env: 'CROWDCASTR_PORT', flag: '--port', number: true },
+    { key: 'tls.key', env: 'CROWDCASTR_TLS_KEY', flag: '--tls-key' },
+    { key: 'tls.cert', env: 'CROWDCASTR_TLS_CERT', flag: '--tls-cert' },
+    { key: 'tls.caKey', env: 'CROWDCASTR_CA_KEY', flag: '--ca-key' },
+    { key: 'tls.caCert', env: 'CROWDCASTR_CA_CERT', flag: '--ca-cert' },
+    { key: 'tls.manage', env: 'CROWDCASTR_TLS_MANAGE', flag: '--manage-certs', boolean: true },
+    { key: 'httpPort', env: 'CROWDCASTR_HTTP_PORT', flag: '--http-port', number: true },
+    { key: 'publicUrl', env: 'CROWDCASTR_PUBLIC_URL', flag: '--public-url' },
+    { key: 'trustProxy', env: 'CROWDCASTR_TRUST_PROXY', flag: '--trust-proxy', boolean: true },
+    { key: 'replayBufferSeconds', env: 'CROWDCASTR_REPLAY_BUFFER_SECONDS', flag: '--replay-buffer-seconds', number: true, max: 300, unit: 'a number of seconds up to 300' }
+];
+
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => (obj[key] = obj[key] || {}), target);
+    parent[last] = value;
+}
+
+function parseValue(option, raw) {
+    if (option.boolean) return raw === undefined || raw === true || raw === 'true' || raw === '1';
+    if (option.number) {
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value <= 0 || value > (option.max || 65535)) {
+            throw new Error(`${option.flag} must be ${option.unit || 'a port number'}, got "${raw}"`);
+        }
+        return value;
+    }
+    return raw;
+}
+
+function readArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        if (!flag.startsWith('--')) continue;
+        const option = OPTIONS.find(opt => opt.flag === flag);
+        if (flag === '--config') {
+            args.config = inline !== undefined ? inline : argv[++i];
+        } else if (option && option.boolean) {
+            args[option.key] = inline !== undefined ? inline : true;
+        } else if (option) {
+            args[option.key] = inline !== undefined ? inline : argv[++i];
+        }
+    }
+    return args;
+}
+
+// Private IPv4 addresses of this machine, preferring the named interface if given
+function detectLanAddresses(interfaceName) {
+    const addresses = [];
+    Object.entries(os.networkInterfaces()).forEach(([name, entries]) => {
+        (entries || []).forEach(entry => {
+            const family = typeof entry.family === 'string' ? entry.family : `IPv${entry.family}`;
+            if (family !== 'IPv4' || entry.internal) return;
+            if (interfaceName && name !== interfaceName) return;
+            addresses.push({ name, address: entry.address });
+        });
+    });
+    const isPrivate = ({ address }) => /^(10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(address);
+    return addresses.sort((a, b) => isPrivate(b) - isPrivate(a));
+}
+
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+    const args = readArgs(argv);
+    const config = structuredClone(DEFAULTS);
+
+    const configFile = args.config || env.CROWDCASTR_CONFIG || 'crowdcastr.config.json';
+    if (fs.existsSync(configFile)) {
+        const fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        Object.assign(config, fileConfig, { tls: { ...config.tls, ...fileConfig.tls } });
+    } else if (args.config || env.CROWDCASTR_CONFIG) {
+        throw new Error(`Config file not found: ${configFile}`);
+    }
+
+    OPTIONS.forEach(option => {
+        if (env[option.env] !== undefined) setPath(config, option.key, parseValue(option, env[option.env]));
+        if (args[option.key] !== undefined) setPath(config, option.key, parseValue(option, args[option.key]));
+    });
+
+    config.lanAddresses = detectLanAddresses(config.interface);
+    if (!config.host) {
+        if (config.interface && config.lanAddresses.length === 0) {
+            throw new Error(`No IPv4 address found on interface "${config.interface}"`);
+        }
+        config.host = config.lanAddresses.length ? config.lanAddresses[0].address : 'localhost';
+    }
+
+    ['key', 'cert', 'caKey', 'caCert'].forEach(key => {
+        config.tls[key] = path.resolve(config.tls[key]);
+    });
+    config.publicUrl = (config.publicUrl || `https://${config.host}:${config.port}`).replace(/\/$/, '');
+    return config;
+}
+
+module.exports = { DEFAULTS, loadConfig, detectLanAddresses };
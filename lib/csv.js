@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV reading and writing for reports and imported spreadsheets
+
+// Rows of fields; quoted fields may contain commas, quotes ("") and line breaks
+function parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error('CSV has an unterminated quoted field');
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Spreadsheets often leave blank lines at the end
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Objects keyed by the lower-cased, trimmed header row
+function parseObjects(text) {
+    const [header, ...rows] = parse(text);
+    if (!header) return [];
+    const keys = header.map(name => name.trim().toLowerCase());
+    return rows.map(fields => Object.fromEntries(keys.map((key, index) => [key, (fields[index] || '').trim()])));
+}
+
+// Text that a spreadsheet would run as a formula gets a leading apostrophe. Numbers are left alone
+// so negative values stay numeric.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function stringify(columns, rows) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(fields => fields.map(formatField).join(','))
+        .join('\n') + '\n';
+}
+
+module.exports = { parse, parseObjects, stringify };
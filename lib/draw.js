@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+// Rodeo draw: contestants in running order per event and performance, with their results.
+// The draw is imported from the secretary's spreadsheet and stepped through during the show.
+
+const STATUSES = ['pending', 'done', 'no-time', 'scratched'];
+
+// Spreadsheet column names we understand, lower-case
+const COLUMN_ALIASES = {
+    event: ['event'],
+    performance: ['performance', 'perf', 'go', 'round'],
+    order: ['order', 'draw', 'position', 'pos'],
+    name: ['name', 'contestant'],
+    hometown: ['hometown', 'town', 'from'],
+    number: ['number', 'back number', 'no', '#'],
+    time: ['time'],
+    penalty: ['penalty'],
+    score: ['score']
+};
+
+function createDraw() {
+    return { entries: [], currentId: null };
+}
+
+function pick(row, field) {
+    const key = COLUMN_ALIASES[field].find(alias => row[alias] !== undefined && row[alias] !== '');
+    return key ? String(row[key]).trim() : '';
+}
+
+function optionalNumber(value, label) {
+    if (value === '' || value === null || value === undefined) return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`${label} must be a number, got "${value}"`);
+    return number;
+}
+
+// Turn imported rows (CSV objects or JSON) into draw entries; the row number is used in errors
+function normalizeEntries(rows) {
+    if (!Array.isArray(rows)) throw new Error('The draw must be a list of contestants');
+    return rows.map((input, index) => {
+        const row = Object.fromEntries(Object.entries(input || {}).map(([key, value]) => [key.trim().toLowerCase(), value]));
+        const line = `Row ${index + 1}`;
+        const name = pick(row, 'name');
+        const event = pick(row, 'event');
+        if (!name || !event) throw new Error(`${line}: every contestant needs a name and an event`);
+        const order = optionalNumber(pick(row, 'order'), `${line}: order`);
+        return {
+            id: crypto.randomUUID(),
+            event,
+            performance: pick(row, 'performance'),
+            order: order === null ? index + 1 : order,
+            name,
+            hometown: pick(row, 'hometown'),
+            number: pick(row, 'number'),
+            time: optionalNumber(pick(row, 'time'), `${line}: time`),
+            penalty: optionalNumber(pick(row, 'penalty'), `${line}: penalty`),
+            score: optionalNumber(pick(row, 'score'), `${line}: score`),
+            status: 'pending'
+        };
+    });
+}
+
+// Events keep the order they first appear in the sheet; contestants run in draw order within them
+function sortEntries(entries) {
+    const groups = [];
+    entries.forEach(entry => {
+        const key = `${entry.performance}|${entry.event}`;
+        if (!groups.includes(key)) groups.push(key);
+    });
+    const groupIndex = entry => groups.indexOf(`${entry.performance}|${entry.event}`);
+    return entries.slice().sort((a, b) => groupIndex(a) - groupIndex(b) || a.order - b.order);
+}
+
+function importEntries(draw, rows, { append = false } = {}) {
+    const imported = normalizeEntries(rows);
+    imported.forEach(entry => {
+        if (entry.time !== null || entry.score !== null) entry.status = 'done';
+    });
+    draw.entries = sortEntries(append ? draw.entries.concat(imported) : imported);
+    if (!append || !draw.entries.some(entry => entry.id === draw.currentId)) draw.currentId = null;
+    return imported.length;
+}
+
+function current(draw) {
+    return draw.entries.find(entry => entry.id === draw.currentId) || null;
+}
+
+function select(draw, id) {
+    if (!draw.entries.some(entry => entry.id === id)) throw new Error('No such contestant in the draw');
+    draw.currentId = id;
+    return current(draw);
+}
+
+// Next contestant still to run (or the previous one), skipping scratches
+function step(draw, direction = 1) {
+    const index = draw.entries.findIndex(entry => entry.id === draw.currentId);
+    const candidates = direction > 0 ? draw.entries.slice(index + 1) : draw.entries.slice(0, Math.max(index, 0)).reverse();
+    const next = candidates.find(entry => (direction > 0 ? entry.status === 'pending' : entry.status !== 'scratched'));
+    if (!next) return null;
+    draw.currentId = next.id;
+    return next;
+}
+
+function recordResult(draw, id, { time, penalty, score, status } = {}) {
+    const entry = draw.entries.find(candidate => candidate.id === id);
+    if (!entry) throw new Error('No such contestant in the draw');
+    // Check everything before changing anything
+    const changes = {};
+    if (time !== undefined) changes.time = optionalNumber(time, 'Time');
+    if (penalty !== undefined) changes.penalty = optionalNumber(penalty, 'Penalty');
+    if (score !== undefined) changes.score = optionalNumber(score, 'Score');
+    if (status !== undefined && !STATUSES.includes(status)) {
+        throw new Error(`Status must be one of ${STATUSES.join(', ')}`);
+    }
+    Object.assign(entry, changes);
+    if (status !== undefined) entry.status = status;
+    else if (entry.time !== null || entry.score !== null) entry.status = 'done';
+    return entry;
+}
+
+function totalTime(entry) {
+    return entry.time === null ? null : Math.round((entry.time + (entry.penalty || 0)) * 1000) / 1000;
+}
+
+// Places per event and performance: highest score for scored events, otherwise fastest time plus penalty
+function results(draw) {
+    const placed = new Map();
+    const groups = new Map();
+    draw.entries.forEach(entry => {
+        const key = `${entry.performance}|${entry.event}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+    groups.forEach(entries => {
+        const scored = entries.some(entry => entry.score !== null);
+        const ranked = entries
+            .filter(entry => entry.status === 'done' && (scored ? entry.score !== null : entry.time !== null))
+            .sort((a, b) => (scored ? b.score - a.score : totalTime(a) - totalTime(b)));
+        ranked.forEach((entry, index) => {
+            const previous = ranked[index - 1];
+            const tied = previous && (scored ? previous.score === entry.score : totalTime(previous) === totalTime(entry));
+            placed.set(entry.id, tied ? placed.get(previous.id) : index + 1);
+        });
+    });
+    return draw.entries.map(entry => ({
+        ...entry,
+        total: totalTime(entry),
+        place: placed.get(entry.id) || null
+    }));
+}
+
+const RESULT_COLUMNS = ['performance', 'event', 'order', 'number', 'name', 'hometown', 'time', 'penalty', 'total', 'score', 'status', 'place'];
+
+// Event data for the overlays: who is up and how they did
+function eventData(entry) {
+    if (!entry) return { event: { name: null, performance: null }, contestant: { name: null, hometown: null, number: null }, result: { time: null, score: null } };
+    const time = entry.status === 'no-time' ? 'NT' : totalTime(entry);
+    return {
+        event: { name: entry.event, performance: entry.performance || null },
+        contestant: { name: entry.name, hometown: entry.hometown || null, number: entry.number || null },
+        result: {
+            time: time === null ? null : typeof time === 'number' ? time.toFixed(2) : time,
+            score: entry.score
+        }
+    };
+}
+
+module.exports = {
+    STATUSES,
+    RESULT_COLUMNS,
+    createDraw,
+    importEntries,
+    current,
+    select,
+    step,
+    recordResult,
+    results,
+    eventData
+};
@@ -0,0 +1,80 @@
+// What an arena does when its main program source drops:
+//   backup   - cut to the designated backup phone, or to the fallback when it is not connected
+//   sponsors - clear program so the displays run the sponsor loop full screen
+//   slate    - clear program and show a holding slate
+//   hold     - keep the last frame on screen with a "reconnecting" overlay
+// A phone that comes back within the grace period, recognised by its fingerprint, goes back on air.
+
+const ACTIONS = ['backup', 'sponsors', 'slate', 'hold'];
+const FALLBACKS = ['sponsors', 'slate', 'hold'];
+const MAX_GRACE_SECONDS = 600;
+const MAX_SLATE_TEXT = 200;
+const RECONNECTING_TEXT = 'Reconnecting…';
+
+function defaultFailover() {
+    return {
+        action: 'sponsors',
+        fallback: 'sponsors',
+        // { fingerprint, name } of the backup phone
+        backup: null,
+        graceSeconds: 30,
+        slate: { text: 'We will be right back', imageUrl: null }
+    };
+}
+
+// Validate a settings update against the current settings. The backup is resolved by the caller,
+// since only it knows which phone a device ID belongs to.
+function normalizeFailover(update, current = defaultFailover()) {
+    if (!update || typeof update !== 'object') throw new Error('Failover settings must be an object');
+    const next = structuredClone(current);
+    if (update.action !== undefined) {
+        if (!ACTIONS.includes(update.action)) throw new Error(`Failover action must be one of ${ACTIONS.join(', ')}`);
+        next.action = update.action;
+    }
+    if (update.fallback !== undefined) {
+        if (!FALLBACKS.includes(update.fallback)) throw new Error(`Failover fallback must be one of ${FALLBACKS.join(', ')}`);
+        next.fallback = update.fallback;
+    }
+    if (update.graceSeconds !== undefined) {
+        const seconds = Number(update.graceSeconds);
+        if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_GRACE_SECONDS) {
+            throw new Error(`The grace period must be between 0 and ${MAX_GRACE_SECONDS} seconds`);
+        }
+        next.graceSeconds = Math.round(seconds);
+    }
+    if (update.slate && typeof update.slate === 'object') {
+        if (update.slate.text !== undefined) next.slate.text = String(update.slate.text || '').slice(0, MAX_SLATE_TEXT);
+        if (update.slate.imageUrl !== undefined) {
+            next.slate.imageUrl = typeof update.slate.imageUrl === 'string' && update.slate.imageUrl ? update.slate.imageUrl : null;
+        }
+    }
+    if (update.backup !== undefined) next.backup = update.backup;
+    if (next.action === 'backup' && !next.backup) throw new Error('Choose a backup device first');
+    return next;
+}
+
+// The action to take now, given whether the backup phone is connected
+function resolveAction(settings, backupAvailable) {
+    return settings.action === 'backup' && !backupAvailable ? settings.fallback : settings.action;
+}
+
+// Settings as sent to control rooms: the backup's fingerprint would let any phone pass as it
+function publicSettings(settings) {
+    return { ...settings, backup: settings.backup ? { name: settings.backup.name } : null };
+}
+
+// Public view of a failover in progress
+function describe(failover) {
+    if (!failover) return null;
+    return {
+        action: failover.action,
+        lostDevice: { name: failover.lost.name },
+        backupDevice: failover.backupId || null,
+        startedAt: failover.startedAt,
+        restoreUntil: failover.restorable ? failover.expiresAt : null,
+        slate: failover.action === 'slate' ? failover.slate : null,
+        overlay: failover.action === 'hold' ? RECONNECTING_TEXT : null
+    };
+}
+
+module.exports = { ACTIONS, FALLBACKS, defaultFailover, normalizeFailover, resolveAction, publicSettings, describe };
@@ -0,0 +1,39 @@
+// Rolling in-memory buffer of recent frames, trimmed by age and by total size so a phone sending
+// large frames cannot exhaust memory
+
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+
+class FrameBuffer {
+    constructor(seconds, maxBytes = DEFAULT_MAX_BYTES) {
+        this.windowMs = seconds * 1000;
+        this.maxBytes = maxBytes;
+        // { at, source, data }, oldest first
+        this.frames = [];
+        this.bytes = 0;
+    }
+
+    push(source, data, now = Date.now()) {
+        if (typeof data !== 'string') return;
+        this.frames.push({ at: now, source, data });
+        this.bytes += data.length;
+        this.trim(now);
+    }
+
+    trim(now = Date.now()) {
+        while (this.frames.length && (this.frames[0].at < now - this.windowMs || this.bytes > this.maxBytes)) {
+            this.bytes -= this.frames.shift().data.length;
+        }
+    }
+
+    // Frames between two times, inclusive
+    between(from, to = Date.now()) {
+        return this.frames.filter(frame => frame.at >= from && frame.at <= to);
+    }
+
+    // The most recent stretch of the given length
+    last(ms, now = Date.now()) {
+        return this.between(now - ms, now);
+    }
+}
+
+module.exports = { FrameBuffer };
@@ -0,0 +1,67 @@
+// Delivers camera frames to the sockets in a room without letting slow clients queue them up.
+// While a client still has unsent packets, only the newest frame per source is held back for it
+// and anything older is dropped.
+
+class FrameRelay {
+    constructor(io) {
+        this.io = io;
+        // socket ID -> Map(source key -> { event, payload })
+        this.pending = new Map();
+        // source key -> Map(event -> frames from that source dropped since last asked)
+        this.sourceDrops = new Map();
+    }
+
+    sendToRoom(room, event, source, payload) {
+        const members = this.io.sockets.adapter.rooms.get(room);
+        if (!members) return;
+        members.forEach(socketId => {
+            const socket = this.io.sockets.sockets.get(socketId);
+            if (socket) this.send(socket, event, source, payload);
+        });
+    }
+
+    send(socket, event, source, payload) {
+        if (socket.conn.writeBuffer.length === 0 && !this.pending.has(socket.id)) {
+            socket.emit(event, payload);
+            return;
+        }
+
+        let queue = this.pending.get(socket.id);
+        if (!queue) {
+            queue = new Map();
+            this.pending.set(socket.id, queue);
+            socket.conn.once('drain', () => this.flush(socket));
+        }
+        const key = `${event}|${source}`;
+        if (queue.has(key)) {
+            let drops = this.sourceDrops.get(source);
+            if (!drops) {
+                drops = new Map();
+                this.sourceDrops.set(source, drops);
+            }
+            drops.set(event, (drops.get(event) || 0) + 1);
+        }
+        queue.set(key, { event, payload });
+    }
+
+    flush(socket) {
+        const queue = this.pending.get(socket.id);
+        this.pending.delete(socket.id);
+        if (!queue || !socket.connected) return;
+        queue.forEach(({ event, payload }) => socket.emit(event, payload));
+    }
+
+    // Frames from a source dropped since the previous call, by event, e.g. { 'arena-update': 3 }
+    takeSourceDrops(source) {
+        const drops = this.sourceDrops.get(source);
+        this.sourceDrops.delete(source);
+        return drops ? Object.fromEntries(drops) : {};
+    }
+
+    forget(socketId) {
+        this.pending.delete(socketId);
+        this.sourceDrops.delete(socketId);
+    }
+}
+
+module.exports = { FrameRelay };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+const csv = require('./csv');
+
+// Proof-of-play log. Every time a sponsor goes on or off screen a line is appended to
+// data/impressions.jsonl, once for the rotation that scheduled it and once per arena display that
+// confirmed showing it. Reports are built from the log, so it is never rewritten.
+// While anything is on screen an "alive" line is appended every CHECKPOINT_MS, so impressions left
+// open by a crash or restart can be closed at the last moment the server was known to be running.
+
+const LOG_PATH = path.join(DATA_DIR, 'impressions.jsonl');
+
+// A sponsor shown while camera footage is on program is an overlay, otherwise it fills the screen
+const MODES = ['fullscreen', 'overlay'];
+const CHECKPOINT_MS = 30 * 1000;
+
+// Impressions on screen right now, by "arena|source|display"
+const open = new Map();
+
+function append(record) {
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.appendFileSync(LOG_PATH, `${JSON.stringify(record)}\n`);
+    } catch (err) {
+        console.error('Failed to write impression log:', err);
+    }
+}
+
+function keyFor(arenaId, source, displayId) {
+    return `${arenaId}|${source}|${displayId || ''}`;
+}
+
+function logRecord(event, impression, now) {
+    const { start, modeReported, ...fields } = impression;
+    if (!fields.continued) delete fields.continued;
+    const record = { event, ...fields, at: new Date(now).toISOString() };
+    if (event === 'stop') {
+        record.startedAt = new Date(start).toISOString();
+        record.durationMs = now - start;
+    }
+    append(record);
+}
+
+function stop(arenaId, source, displayId, now = Date.now()) {
+    const key = keyFor(arenaId, source, displayId);
+    const impression = open.get(key);
+    if (!impression) return;
+    open.delete(key);
+    logRecord('stop', impression, now);
+}
+
+// Open an impression, closing whatever the same source was showing before. Displays may report
+// the mode they show the sponsor in; otherwise the server's view of the program decides.
+// A "continued" impression is the same play carrying on in another mode.
+function start(arenaId, source, displayId, sponsor, { mode, modeReported = false, continued = false, now = Date.now() } = {}) {
+    stop(arenaId, source, displayId, now);
+    const impression = {
+        arena: arenaId,
+        source,
+        display: displayId || null,
+        sponsorId: sponsor.id,
+        sponsorName: sponsor.name || sponsor.id,
+        mode: MODES.includes(mode) ? mode : 'fullscreen',
+        start: now,
+        modeReported,
+        continued
+    };
+    open.set(keyFor(arenaId, source, displayId), impression);
+    logRecord('start', impression, now);
+}
+
+// Program footage came or went: split the arena's running impressions at this moment
+function changeMode(arenaId, mode, now = Date.now()) {
+    Array.from(open.values()).forEach(impression => {
+        if (impression.arena !== arenaId || impression.mode === mode || impression.modeReported) return;
+        const sponsor = { id: impression.sponsorId, name: impression.sponsorName };
+        start(arenaId, impression.source, impression.display, sponsor, { mode, continued: true, now });
+    });
+}
+
+function stopArena(arenaId, now = Date.now()) {
+    Array.from(open.values())
+        .filter(impression => impression.arena === arenaId)
+        .forEach(impression => stop(arenaId, impression.source, impression.display, now));
+}
+
+// Mark that the open impressions are still on screen
+function checkpoint(now = Date.now()) {
+    if (open.size) append({ event: 'alive', at: new Date(now).toISOString() });
+}
+
+function readRecords() {
+    if (!fs.existsSync(LOG_PATH)) return [];
+    return fs.readFileSync(LOG_PATH, 'utf8').split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+// Close impressions a previous run left open, at the last time it logged anything. Call at startup,
+// before any new impression starts. Returns how many were closed.
+function closeInterrupted() {
+    const dangling = new Map();
+    let lastAt = -Infinity;
+    readRecords().forEach(record => {
+        lastAt = Math.max(lastAt, Date.parse(record.at) || -Infinity);
+        if (record.event !== 'start' && record.event !== 'stop') return;
+        const key = keyFor(record.arena, record.source, record.display);
+        if (record.event === 'start') dangling.set(key, record);
+        else dangling.delete(key);
+    });
+    dangling.forEach(({ event, at, ...fields }) => {
+        const startedAt = Date.parse(at);
+        const endedAt = Math.max(startedAt, lastAt);
+        append({ event: 'stop', ...fields, at: new Date(endedAt).toISOString(), startedAt: at, durationMs: endedAt - startedAt, interrupted: true });
+    });
+    return dangling.size;
+}
+
+function localDate(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Cut an interval at local midnights so each day gets its own share
+function splitByDay(from, to) {
+    const parts = [];
+    let cursor = from;
+    while (cursor < to) {
+        const midnight = new Date(cursor);
+        midnight.setHours(24, 0, 0, 0);
+        const end = Math.min(to, midnight.getTime());
+        parts.push({ date: localDate(cursor), from: cursor, to: end });
+        cursor = end;
+    }
+    return parts;
+}
+
+// Total length of possibly overlapping intervals, so two displays showing the same slide count once
+function unionMs(intervals) {
+    let total = 0;
+    let coveredTo = -Infinity;
+    intervals.sort((a, b) => a.from - b.from).forEach(({ from, to }) => {
+        if (to <= coveredTo) return;
+        total += to - Math.max(from, coveredTo);
+        coveredTo = to;
+    });
+    return total;
+}
+
+function readStops() {
+    return readRecords().filter(record => record.event === 'stop');
+}
+
+// Screen time per arena, sponsor and local day. "Scheduled" comes from the rotation,
+// "confirmed" from the arena displays' acknowledgements.
+function report({ from, to, arena } = {}) {
+    const rows = new Map();
+
+    readStops().forEach(record => {
+        if (arena && record.arena !== arena) return;
+        const startedAt = Date.parse(record.startedAt);
+        const endedAt = startedAt + record.durationMs;
+        splitByDay(startedAt, endedAt).forEach(part => {
+            if ((from && part.date < from) || (to && part.date > to)) return;
+            const rowKey = `${part.date}|${record.arena}|${record.sponsorId}`;
+            let row = rows.get(rowKey);
+            if (!row) {
+                row = {
+                    date: part.date,
+                    arena: record.arena,
+                    sponsorId: record.sponsorId,
+                    sponsorName: record.sponsorName,
+                    plays: 0,
+                    scheduledFullscreenMs: 0,
+                    scheduledOverlayMs: 0,
+                    confirmedFullscreenMs: 0,
+                    confirmedOverlayMs: 0,
+                    displayed: { Fullscreen: [], Overlay: [] }
+                };
+                rows.set(rowKey, row);
+            }
+            const mode = record.mode === 'overlay' ? 'Overlay' : 'Fullscreen';
+            if (record.source === 'rotation') {
+                row[`scheduled${mode}Ms`] += part.to - part.from;
+                if (part.from === startedAt && !record.continued) row.plays++;
+            } else {
+                row.displayed[mode].push(part);
+            }
+        });
+    });
+
+    return Array.from(rows.values()).map(({ displayed, ...row }) => ({
+        ...row,
+        confirmedFullscreenMs: unionMs(displayed.Fullscreen),
+        confirmedOverlayMs: unionMs(displayed.Overlay)
+    })).sort((a, b) =>
+        a.date.localeCompare(b.date) || a.arena.localeCompare(b.arena) || a.sponsorId.localeCompare(b.sponsorId));
+}
+
+const CSV_COLUMNS = [
+    'date', 'arena', 'sponsorId', 'sponsorName', 'plays',
+    'scheduledFullscreenMs', 'scheduledOverlayMs', 'confirmedFullscreenMs', 'confirmedOverlayMs'
+];
+
+function toCsv(rows) {
+    return csv.stringify(CSV_COLUMNS, rows);
+}
+
+module.exports = { LOG_PATH, MODES, CHECKPOINT_MS, start, stop, changeMode, stopArena, checkpoint, closeInterrupted, report, toCsv };
@@ -0,0 +1,45 @@
+// The landing page at "/". It is rendered here rather than taken from public/, which setup.js
+// generates, so it always shows the address this server is configured with.
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// info: { url, mobileUrl, lanAddresses } as returned by /api/server-info; qrCode: data URL for mobileUrl
+function render({ url, mobileUrl, lanAddresses }, qrCode) {
+    const otherAddresses = lanAddresses.length > 1
+        ? `
+            <p>Other LAN addresses: ${lanAddresses.map(({ name, address }) => `${escapeHtml(address)} (${escapeHtml(name)})`).join(', ')}</p>`
+        : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reno Rodeo Display System</title>
+    <link rel="stylesheet" href="/css/styles.css">
+</head>
+<body>
+    <div class="container">
+        <h1>Reno Rodeo Display System</h1>
+        <div class="qr-code-container">
+            <h2>Scan QR Code to Connect Your Phone</h2>
+            <div id="qrcode"><img src="${escapeHtml(qrCode)}" alt="QR code for ${escapeHtml(mobileUrl)}"></div>
+            <p id="server-url"><a href="${escapeHtml(mobileUrl)}">${escapeHtml(mobileUrl)}</a></p>
+            <p>Server: ${escapeHtml(url)} &middot; <a href="/ca.crt">Install the local CA</a></p>${otherAddresses}
+        </div>
+        <div class="buttons">
+            <a href="/control-room" class="button">Go to Control Room</a>
+            <a href="/arena-display" class="button">Go to Arena Display</a>
+        </div>
+    </div>
+</body>
+</html>
+`;
+}
+
+module.exports = { render };
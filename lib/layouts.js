@@ -0,0 +1,60 @@
+// Arena display layouts and the device assigned to each slot
+
+// Number of slots per layout. In "pip" slot 0 fills the screen and slot 1 is the inset.
+const LAYOUTS = {
+    full: 1,
+    'side-by-side': 2,
+    pip: 2,
+    quad: 4
+};
+
+const PIP_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const DEFAULT_PIP = { corner: 'bottom-right', size: 0.25 };
+
+// Build a layout from client input, leaving slots empty when the device is not usable
+function normalizeLayout(input, isValidDevice = () => true) {
+    const requested = input || {};
+    const type = LAYOUTS[requested.type] ? requested.type : 'full';
+    const requestedSlots = Array.isArray(requested.slots) ? requested.slots : [];
+    const slots = Array.from({ length: LAYOUTS[type] }, (_, index) => {
+        const deviceId = requestedSlots[index];
+        return deviceId && isValidDevice(deviceId) ? deviceId : null;
+    });
+
+    const pip = { ...DEFAULT_PIP };
+    if (requested.pip && PIP_CORNERS.includes(requested.pip.corner)) pip.corner = requested.pip.corner;
+    if (requested.pip && Number.isFinite(requested.pip.size)) pip.size = Math.max(0.1, Math.min(0.5, requested.pip.size));
+
+    return type === 'pip' ? { type, slots, pip } : { type, slots };
+}
+
+function fullLayout(deviceId) {
+    return { type: 'full', slots: [deviceId || null] };
+}
+
+// Distinct devices shown in a layout
+function layoutSources(layout) {
+    return layout ? Array.from(new Set(layout.slots.filter(Boolean))) : [];
+}
+
+function hasSource(layout, deviceId) {
+    return Boolean(layout && deviceId && layout.slots.includes(deviceId));
+}
+
+function replaceSource(layout, deviceId, replacement) {
+    return { ...layout, slots: layout.slots.map(slot => (slot === deviceId ? replacement : slot)) };
+}
+
+function sameLayout(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+    LAYOUTS,
+    normalizeLayout,
+    fullLayout,
+    layoutSources,
+    hasSource,
+    replaceSource,
+    sameLayout
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, createStore } = require('./store');
+
+// Sponsor media library. Uploads are checked by their content rather than their name, stored
+// under a name derived from their hash and served from /uploads.
+
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const PUBLIC_PATH = '/uploads';
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_VIDEO_BYTES = 100 * 1024 * 1024;
+
+const TYPES = {
+    'image/png': { extension: 'png', maxBytes: MAX_IMAGE_BYTES },
+    'image/jpeg': { extension: 'jpg', maxBytes: MAX_IMAGE_BYTES },
+    'image/svg+xml': { extension: 'svg', maxBytes: MAX_IMAGE_BYTES },
+    'video/mp4': { extension: 'mp4', maxBytes: MAX_VIDEO_BYTES }
+};
+
+const store = createStore('media', { files: [] });
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Major brands of MP4 video. HEIC photos, QuickTime movies and M4A audio share the container
+// but use brands of their own.
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'mmp4'];
+
+// Anything in an SVG that could run script when the file is opened directly
+const SVG_ACTIVE_CONTENT = /<script|<foreignObject|\son[a-z]+\s*=|javascript:|<!ENTITY/i;
+
+function detectType(buffer) {
+    if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp' && MP4_BRANDS.includes(buffer.toString('latin1', 8, 12))) {
+        return 'video/mp4';
+    }
+
+    // SVG is text: skip an XML declaration, doctype and comments and expect the root element
+    const head = buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '');
+    const rest = head.replace(/^(\s*(<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>))*\s*/i, '');
+    if (/^<svg[\s>]/i.test(rest)) return 'image/svg+xml';
+    return null;
+}
+
+// Multer storage engine that keeps uploads in memory like multer.memoryStorage(), but sniffs the
+// type from the first bytes and stops as soon as a file passes the limit for that type. An image
+// is refused after 10 MB instead of being buffered up to the video limit first.
+const SNIFF_BYTES = 4096;
+
+const uploadStorage = {
+    _handleFile(req, file, cb) {
+        const chunks = [];
+        let size = 0;
+        let type = null;
+        let done = false;
+        const finish = (err, info) => {
+            if (done) return;
+            done = true;
+            chunks.length = 0;
+            cb(err, info);
+        };
+
+        file.stream.on('data', (chunk) => {
+            if (done) return;
+            chunks.push(chunk);
+            size += chunk.length;
+            if (!type && size >= SNIFF_BYTES) {
+                type = detectType(Buffer.concat(chunks));
+                if (!type) return finish(new Error('Only PNG, JPEG, SVG and MP4 files are accepted'));
+            }
+            if (type && size > TYPES[type].maxBytes) {
+                const err = new Error(`${type} files are limited to ${Math.round(TYPES[type].maxBytes / 1024 / 1024)} MB`);
+                err.code = 'LIMIT_FILE_SIZE';
+                finish(err);
+            }
+        });
+        file.stream.on('error', err => finish(err));
+        // Files shorter than the sniffing window are checked by add()
+        file.stream.on('end', () => {
+            const buffer = Buffer.concat(chunks);
+            finish(null, { buffer, size: buffer.length });
+        });
+    },
+
+    _removeFile(req, file, cb) {
+        delete file.buffer;
+        cb(null);
+    }
+};
+
+function list() {
+    return store.load().files;
+}
+
+function get(id) {
+    return list().find(file => file.id === id) || null;
+}
+
+function findByUrl(url) {
+    return list().find(file => file.url === url) || null;
+}
+
+function filePath(entry) {
+    return path.join(MEDIA_DIR, entry.fileName);
+}
+
+function urlFor(fileName) {
+    return `${PUBLIC_PATH}/${fileName}`;
+}
+
+// Validate and store an upload. Returns the library entry and whether the same file was already there.
+function add(buffer, { originalName, declaredType, uploadedBy } = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw new Error('The file is empty');
+
+    const type = detectType(buffer);
+    if (!type) throw new Error('Only PNG, JPEG, SVG and MP4 files are accepted');
+    if (declaredType && declaredType !== 'application/octet-stream' && declaredType !== type) {
+        throw new Error(`File content is ${type} but it was sent as ${declaredType}`);
+    }
+    const { extension, maxBytes } = TYPES[type];
+    if (buffer.length > maxBytes) {
+        throw new Error(`${type} files are limited to ${Math.round(maxBytes / 1024 / 1024)} MB`);
+    }
+    if (type === 'image/svg+xml' && SVG_ACTIVE_CONTENT.test(buffer.toString('utf8'))) {
+        throw new Error('SVG files must not contain scripts, event handlers or entities');
+    }
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const library = store.load();
+    const existing = library.files.find(file => file.sha256 === sha256);
+    if (existing) return { entry: existing, duplicate: true };
+
+    const id = sha256.slice(0, 16);
+    const entry = {
+        id,
+        fileName: `${id}.${extension}`,
+        url: urlFor(`${id}.${extension}`),
+        type,
+        size: buffer.length,
+        sha256,
+        originalName: path.basename(String(originalName || '')).slice(0, 200) || null,
+        uploadedBy: uploadedBy || null,
+        uploadedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    const tempPath = `${filePath(entry)}.tmp`;
+    fs.writeFileSync(tempPath, buffer);
+    fs.renameSync(tempPath, filePath(entry));
+
+    library.files.push(entry);
+    store.save(library);
+    return { entry, duplicate: false };
+}
+
+// Merge processing results such as renditions into a library entry
+function update(id, changes) {
+    const library = store.load();
+    const entry = library.files.find(file => file.id === id);
+    if (!entry) return null;
+    Object.assign(entry, changes);
+    store.save(library);
+    return entry;
+}
+
+// Decode the data URL sent by the old Socket.IO upload
+function decodeDataUrl(dataUrl) {
+    const match = typeof dataUrl === 'string' && /^data:([^;,]*)(;base64)?,/.exec(dataUrl);
+    if (!match || !match[2]) throw new Error('Expected a base64 data URL');
+    return { declaredType: match[1] || null, buffer: Buffer.from(dataUrl.slice(match[0].length), 'base64') };
+}
+
+function remove(id) {
+    const library = store.load();
+    const entry = library.files.find(file => file.id === id);
+    if (!entry) return false;
+    library.files = library.files.filter(file => file !== entry);
+    store.save(library);
+    fs.rmSync(filePath(entry), { force: true });
+    // Renditions are named after the original's ID
+    if (fs.existsSync(MEDIA_DIR)) {
+        fs.readdirSync(MEDIA_DIR)
+            .filter(name => name.startsWith(`${id}-`))
+            .forEach(name => fs.rmSync(path.join(MEDIA_DIR, name), { force: true }));
+    }
+    return true;
+}
+
+module.exports = {
+    MEDIA_DIR,
+    PUBLIC_PATH,
+    TYPES,
+    MAX_IMAGE_BYTES,
+    MAX_VIDEO_BYTES,
+    detectType,
+    uploadStorage,
+    list,
+    get,
+    findByUrl,
+    filePath,
+    urlFor,
+    add,
+    update,
+    decodeDataUrl,
+    remove
+};
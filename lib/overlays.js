@@ -0,0 +1,118 @@
+// Graphics overlays drawn by the arena display on top of the program: a lower third, a scorebug
+// and the event title. Each overlay is shown, hidden and animated on its own. Field values can
+// bind to the arena's event data with "{{section.field}}", so the overlays follow the current
+// contestant and result without retyping.
+
+const TEMPLATES = {
+    'lower-third': {
+        position: 'bottom-left',
+        fields: {
+            title: '{{contestant.name}}',
+            subtitle: '{{contestant.hometown}}',
+            detail: '{{event.name}}'
+        }
+    },
+    scorebug: {
+        position: 'top-right',
+        fields: {
+            contestant: '{{contestant.name}}',
+            event: '{{event.name}}',
+            time: '{{result.time}}',
+            score: '{{result.score}}'
+        }
+    },
+    'event-title': {
+        position: 'top-left',
+        fields: {
+            text: 'RENO RODEO'
+        }
+    }
+};
+
+// Entrances and exits, and one-off emphasis effects for a visible overlay
+const TRANSITIONS = ['cut', 'fade', 'slide-left', 'slide-right', 'slide-up', 'slide-down', 'wipe'];
+const EMPHASIS = ['pulse', 'flash', 'shake'];
+const MAX_ANIMATION_MS = 3000;
+const MAX_FIELD_LENGTH = 200;
+
+const DEFAULT_ANIMATION = { type: 'fade', duration: 400 };
+
+const EVENT_DATA_SECTIONS = ['event', 'contestant', 'result'];
+
+function defaultOverlays() {
+    return Object.fromEntries(Object.entries(TEMPLATES).map(([id, template]) => [id, {
+        visible: false,
+        fields: { ...template.fields },
+        animation: { ...DEFAULT_ANIMATION }
+    }]));
+}
+
+function defaultEventData() {
+    return { event: {}, contestant: {}, result: {} };
+}
+
+function normalizeAnimation(input, allowed, defaults = DEFAULT_ANIMATION) {
+    const requested = typeof input === 'string' ? { type: input } : input || {};
+    const type = allowed.includes(requested.type) ? requested.type : defaults.type;
+    const duration = Number.isFinite(requested.duration) ? requested.duration : defaults.duration;
+    return { type, duration: type === 'cut' ? 0 : Math.max(0, Math.min(MAX_ANIMATION_MS, Math.round(duration))) };
+}
+
+// Keep only the template's fields, as short strings
+function normalizeFields(id, fields) {
+    const template = TEMPLATES[id];
+    const result = {};
+    Object.keys(template.fields).forEach(name => {
+        if (fields && fields[name] !== undefined && fields[name] !== null) {
+            result[name] = String(fields[name]).slice(0, MAX_FIELD_LENGTH);
+        }
+    });
+    return result;
+}
+
+// Merge event data updates section by section; a null value clears a field
+function mergeEventData(current, update) {
+    const merged = { ...current };
+    EVENT_DATA_SECTIONS.forEach(section => {
+        if (!update || typeof update[section] !== 'object' || update[section] === null) return;
+        const next = { ...(merged[section] || {}) };
+        Object.entries(update[section]).forEach(([name, value]) => {
+            if (value === null || value === undefined) delete next[name];
+            else next[name] = String(value).slice(0, MAX_FIELD_LENGTH);
+        });
+        merged[section] = next;
+    });
+    return merged;
+}
+
+function resolve(value, eventData) {
+    return value.replace(/\{\{\s*(\w+)\.(\w+)\s*\}\}/g, (match, section, name) => {
+        const data = eventData[section];
+        return data && data[name] !== undefined ? data[name] : '';
+    });
+}
+
+// What the display draws: templates with their bindings filled in
+function render(overlays, eventData) {
+    return Object.fromEntries(Object.entries(overlays).map(([id, overlay]) => [id, {
+        template: id,
+        position: TEMPLATES[id].position,
+        visible: overlay.visible,
+        animation: overlay.animation,
+        bindings: overlay.fields,
+        fields: Object.fromEntries(Object.entries(overlay.fields).map(([name, value]) => [name, resolve(value, eventData)]))
+    }]));
+}
+
+module.exports = {
+    TEMPLATES,
+    TRANSITIONS,
+    EMPHASIS,
+    DEFAULT_ANIMATION,
+    defaultOverlays,
+    defaultEventData,
+    normalizeAnimation,
+    normalizeFields,
+    mergeEventData,
+    render
+};
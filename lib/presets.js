@@ -0,0 +1,53 @@
+const { createStore } = require('./store');
+
+// Named show presets: display settings, mobile settings and sponsor rotation
+
+const presetStore = createStore('presets', { presets: {} });
+// No prototype, so names such as "constructor" or "__proto__" are ordinary presets
+let presets = Object.assign(Object.create(null), presetStore.load().presets);
+
+function isValidName(name) {
+    return typeof name === 'string' && name.trim().length > 0 && name.length <= 64;
+}
+
+function list() {
+    return Object.values(presets).map(({ name, createdAt, updatedAt }) => ({ name, createdAt, updatedAt }));
+}
+
+function get(name) {
+    return Object.hasOwn(presets, name) ? presets[name] : null;
+}
+
+function save(name, { display, mobile, sponsors }) {
+    if (!isValidName(name)) throw new Error('Preset name must be 1-64 characters');
+    const now = new Date().toISOString();
+    const existing = get(name);
+    presets[name] = {
+        name,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        display: structuredClone(display),
+        mobile: structuredClone(mobile),
+        sponsors: structuredClone(sponsors || [])
+    };
+    presetStore.save({ presets });
+    return presets[name];
+}
+
+function remove(name) {
+    if (!Object.hasOwn(presets, name)) return false;
+    delete presets[name];
+    presetStore.save({ presets });
+    return true;
+}
+
+// Accept a preset previously produced by export
+function importPreset(data) {
+    if (!data || typeof data !== 'object') throw new Error('Preset file must be a JSON object');
+    if (!data.display || typeof data.display !== 'object') throw new Error('Preset is missing display settings');
+    if (!data.mobile || typeof data.mobile !== 'object') throw new Error('Preset is missing mobile settings');
+    if (data.sponsors && !Array.isArray(data.sponsors)) throw new Error('Preset sponsors must be a list');
+    return save(data.name, data);
+}
+
+module.exports = { list, get, save, remove, importPreset };
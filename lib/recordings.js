@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// Program recordings on disk. Each recording is a directory under data/recordings with the JPEG
+// frames appended to frames.bin, one index.jsonl line per frame ({ at, source, offset, length })
+// and meta.json describing the session. Nothing is rewritten while recording, so a crash loses at
+// most the last frame.
+
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const ID_PATTERN = /^[a-z0-9-]+$/;
+
+class Recording {
+    constructor(arenaId, startedBy, now = Date.now()) {
+        const stamp = new Date(now).toISOString().replace(/[:.]/g, '-').toLowerCase();
+        this.meta = {
+            id: `${arenaId}-${stamp}`,
+            arena: arenaId,
+            startedAt: new Date(now).toISOString(),
+            stoppedAt: null,
+            startedBy: startedBy || null,
+            frames: 0,
+            bytes: 0,
+            // Device ID -> contributor name, for searching and labelling
+            sources: {}
+        };
+        this.dir = path.join(RECORDINGS_DIR, this.meta.id);
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.framesFd = fs.openSync(path.join(this.dir, 'frames.bin'), 'a');
+        this.indexFd = fs.openSync(path.join(this.dir, 'index.jsonl'), 'a');
+        this.writeMeta();
+    }
+
+    writeMeta() {
+        const metaPath = path.join(this.dir, 'meta.json');
+        fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(this.meta, null, 2));
+        fs.renameSync(`${metaPath}.tmp`, metaPath);
+    }
+
+    // Store one frame sent as a JPEG data URL
+    append(source, name, dataUrl, now = Date.now()) {
+        const comma = typeof dataUrl === 'string' ? dataUrl.indexOf(',') : -1;
+        if (comma < 0 || !dataUrl.startsWith('data:image/jpeg')) return;
+        const bytes = Buffer.from(dataUrl.slice(comma + 1), 'base64');
+        fs.writeSync(this.framesFd, bytes);
+        fs.writeSync(this.indexFd, `${JSON.stringify({ at: now, source, offset: this.meta.bytes, length: bytes.length })}\n`);
+        this.meta.bytes += bytes.length;
+        this.meta.frames++;
+        if (!this.meta.sources[source]) {
+            this.meta.sources[source] = name || null;
+            this.writeMeta();
+        }
+    }
+
+    stop(now = Date.now()) {
+        fs.closeSync(this.framesFd);
+        fs.closeSync(this.indexFd);
+        this.meta.stoppedAt = new Date(now).toISOString();
+        this.writeMeta();
+        return this.meta;
+    }
+}
+
+function recordingDir(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+    const dir = path.join(RECORDINGS_DIR, id);
+    return fs.existsSync(path.join(dir, 'meta.json')) ? dir : null;
+}
+
+function list() {
+    if (!fs.existsSync(RECORDINGS_DIR)) return [];
+    return fs.readdirSync(RECORDINGS_DIR)
+        .map(id => recordingDir(id))
+        .filter(Boolean)
+        .map(dir => JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8')))
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+function get(id) {
+    const dir = recordingDir(id);
+    return dir ? JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8')) : null;
+}
+
+// Frames of a recording as { at, source, data } with JPEG data URLs, optionally for one time
+// range and source
+function readFrames(id, { from = -Infinity, to = Infinity, source = null } = {}) {
+    const dir = recordingDir(id);
+    if (!dir) return [];
+    const index = fs.readFileSync(path.join(dir, 'index.jsonl'), 'utf8').split('\n').filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(entry => entry.at >= from && entry.at <= to && (!source || entry.source === source));
+    if (index.length === 0) return [];
+
+    const fd = fs.openSync(path.join(dir, 'frames.bin'), 'r');
+    try {
+        return index.map(entry => {
+            const bytes = Buffer.alloc(entry.length);
+            fs.readSync(fd, bytes, 0, entry.length, entry.offset);
+            return { at: entry.at, source: entry.source, data: `data:image/jpeg;base64,${bytes.toString('base64')}` };
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = { RECORDINGS_DIR, Recording, list, get, readFrames };
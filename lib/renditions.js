@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Normalized versions of uploaded sponsor images: a control room thumbnail, a version sized for
+// each arena's display area and a logo with its background made transparent. Written next to the
+// original in the media directory as "<id>-<kind>.png".
+
+// Arena displays are laid out for 1080p; margins (in pixels) are taken off this
+const DISPLAY_WIDTH = 1920;
+const DISPLAY_HEIGHT = 1080;
+const THUMBNAIL_SIZE = 320;
+// Logos are keyed pixel by pixel in JavaScript, so they are scaled down to this first
+const LOGO_SIZE = 1024;
+// Maximum per-channel distance from the corner colour that still counts as background
+const BACKGROUND_TOLERANCE = 24;
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+
+// Space left for sponsor artwork once the arena's margins are taken off the screen
+function displaySize(margins = {}) {
+    const inset = side => Math.max(0, Math.round(Number(margins[side]) || 0));
+    return {
+        width: Math.max(1, DISPLAY_WIDTH - inset('left') - inset('right')),
+        height: Math.max(1, DISPLAY_HEIGHT - inset('top') - inset('bottom'))
+    };
+}
+
+function hexColor({ r, g, b }) {
+    return `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+}
+
+// WCAG relative luminance and contrast ratio
+function luminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255)
+        .map(value => (value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+}
+
+// Font colours to use over the artwork's dominant colour, best first. 4.5:1 is the WCAG AA minimum.
+function fontSuggestions(background, candidates = ['#FFFFFF', '#000000']) {
+    return candidates
+        .map(color => {
+            const contrast = contrastRatio(color, background);
+            return { color, contrast, aa: contrast >= 4.5 };
+        })
+        .sort((a, b) => b.contrast - a.contrast);
+}
+
+// Clear every pixel close to the colour found in all four corners; artwork without a solid
+// background is returned unchanged
+async function transparentLogo(image) {
+    const { data, info } = await image.clone()
+        .resize(LOGO_SIZE, LOGO_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    const [background, ...corners] = [0, width - 1, (height - 1) * width, height * width - 1].map(pixel => pixel * channels);
+    const near = offset => Math.abs(data[offset] - data[background]) <= BACKGROUND_TOLERANCE &&
+        Math.abs(data[offset + 1] - data[background + 1]) <= BACKGROUND_TOLERANCE &&
+        Math.abs(data[offset + 2] - data[background + 2]) <= BACKGROUND_TOLERANCE;
+    const solid = data[background + 3] > 0 && corners.every(corner => data[corner + 3] > 0 && near(corner));
+
+    if (solid) {
+        for (let offset = 0; offset < data.length; offset += channels) {
+            if (near(offset)) data[offset + 3] = 0;
+        }
+    }
+    return sharp(data, { raw: { width, height, channels } }).trim().png();
+}
+
+function renditionPath(mediaDir, id, kind) {
+    return path.join(mediaDir, `${id}-${kind}.png`);
+}
+
+async function writeRendition(pipeline, mediaDir, id, kind) {
+    const filePath = renditionPath(mediaDir, id, kind);
+    await pipeline.toFile(`${filePath}.tmp`);
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    return path.basename(filePath);
+}
+
+async function writeDisplayRendition(image, mediaDir, id, size) {
+    const pipeline = image.clone().resize(size.width, size.height, { fit: 'inside' }).png();
+    return writeRendition(pipeline, mediaDir, id, `display-${size.width}x${size.height}`);
+}
+
+// Decode an uploaded image, write its renditions and return the metadata to store with it.
+// Throws when the file does not decode, even though its header looked right.
+async function processImage(filePath, id, displaySizes) {
+    const mediaDir = path.dirname(filePath);
+    // Rasterize SVGs large enough to fill a display
+    const image = sharp(filePath, { density: 300 }).rotate();
+    const { width, height } = await image.metadata();
+    const { dominant } = await image.stats();
+    const dominantColor = hexColor(dominant);
+
+    const thumbnail = await writeRendition(
+        image.clone().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' }).png(), mediaDir, id, 'thumbnail');
+    const logo = await writeRendition(await transparentLogo(image), mediaDir, id, 'logo');
+    const display = {};
+    for (const size of displaySizes) {
+        display[`${size.width}x${size.height}`] = await writeDisplayRendition(image, mediaDir, id, size);
+    }
+
+    return {
+        width,
+        height,
+        dominantColor,
+        fontSuggestions: fontSuggestions(dominantColor),
+        renditions: { thumbnail, logo, display }
+    };
+}
+
+// Add a display rendition for a new margin setting to an already processed image
+async function addDisplaySize(filePath, id, size) {
+    const image = sharp(filePath, { density: 300 }).rotate();
+    return writeDisplayRendition(image, path.dirname(filePath), id, size);
+}
+
+function removeDisplaySize(mediaDir, id, key) {
+    fs.rmSync(renditionPath(mediaDir, id, `display-${key}`), { force: true });
+}
+
+module.exports = {
+    IMAGE_TYPES,
+    DISPLAY_WIDTH,
+    DISPLAY_HEIGHT,
+    displaySize,
+    contrastRatio,
+    fontSuggestions,
+    processImage,
+    addDisplaySize,
+    removeDisplaySize
+};
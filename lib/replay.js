@@ -0,0 +1,49 @@
+// Plays buffered frames back with their original spacing, stretched for slow motion
+
+const SPEEDS = [0.25, 0.5, 1];
+const DEFAULT_SECONDS = 8;
+
+class ReplayPlayer {
+    constructor(frames, { speed = 1, onFrame, onEnd }) {
+        this.frames = frames;
+        this.speed = SPEEDS.includes(speed) ? speed : 1;
+        this.onFrame = onFrame;
+        this.onEnd = onEnd;
+        this.timer = null;
+        this.index = 0;
+    }
+
+    // Time the replay takes at its speed
+    get durationMs() {
+        if (this.frames.length < 2) return 0;
+        return Math.round((this.frames[this.frames.length - 1].at - this.frames[0].at) / this.speed);
+    }
+
+    start() {
+        this.startedAt = Date.now();
+        this.next();
+    }
+
+    next() {
+        if (this.index >= this.frames.length) {
+            this.timer = null;
+            this.onEnd(false);
+            return;
+        }
+        const frame = this.frames[this.index++];
+        this.onFrame(frame);
+        const following = this.frames[this.index];
+        const delay = following ? (following.at - this.frames[0].at) / this.speed - (Date.now() - this.startedAt) : 0;
+        this.timer = setTimeout(() => this.next(), Math.max(0, delay));
+    }
+
+    // Cut the replay short; onEnd is told it was interrupted
+    stop() {
+        if (!this.timer) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.onEnd(true);
+    }
+}
+
+module.exports = { ReplayPlayer, SPEEDS, DEFAULT_SECONDS };
@@ -0,0 +1,106 @@
+// Server-authoritative run timer. The server keeps the only clock; clients get the moment the
+// timer started in server time and draw it themselves, corrected by their measured clock offset.
+
+const MODES = ['up', 'down'];
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000;
+
+class RunTimer {
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.mode = 'up';
+        // Countdown length
+        this.durationMs = 0;
+        this.running = false;
+        // Server time the current run segment started, and time counted before it
+        this.startedAt = null;
+        this.elapsedBefore = 0;
+        this.expired = false;
+        this.expiryTimer = null;
+    }
+
+    elapsedMs(now = Date.now()) {
+        const elapsed = this.elapsedBefore + (this.running ? now - this.startedAt : 0);
+        return this.mode === 'down' ? Math.min(elapsed, this.durationMs) : elapsed;
+    }
+
+    // Count-up time, or time left on a countdown
+    displayMs(now = Date.now()) {
+        return this.mode === 'down' ? this.durationMs - this.elapsedMs(now) : this.elapsedMs(now);
+    }
+
+    start(now = Date.now()) {
+        if (this.running || this.expired) return false;
+        this.running = true;
+        this.startedAt = now;
+        this.scheduleExpiry(now);
+        this.changed(now);
+        return true;
+    }
+
+    stop(now = Date.now()) {
+        if (!this.running) return false;
+        this.elapsedBefore = this.elapsedMs(now);
+        this.running = false;
+        this.startedAt = null;
+        clearTimeout(this.expiryTimer);
+        this.changed(now);
+        return true;
+    }
+
+    reset({ mode, durationMs } = {}, now = Date.now()) {
+        const nextMode = MODES.includes(mode) ? mode : this.mode;
+        let nextDuration = this.durationMs;
+        if (durationMs !== undefined) {
+            nextDuration = Number(durationMs);
+            if (!Number.isFinite(nextDuration) || nextDuration < 0) throw new Error('Countdown duration must be a positive number of milliseconds');
+            nextDuration = Math.min(Math.round(nextDuration), MAX_DURATION_MS);
+        }
+        if (nextMode === 'down' && nextDuration === 0) throw new Error('Set a duration for a countdown');
+        this.mode = nextMode;
+        this.durationMs = nextDuration;
+        clearTimeout(this.expiryTimer);
+        this.running = false;
+        this.startedAt = null;
+        this.elapsedBefore = 0;
+        this.expired = false;
+        this.changed(now);
+    }
+
+    // A countdown stops itself at zero
+    scheduleExpiry(now) {
+        clearTimeout(this.expiryTimer);
+        if (this.mode !== 'down') return;
+        this.expiryTimer = setTimeout(() => {
+            const end = Date.now();
+            this.elapsedBefore = this.durationMs;
+            this.running = false;
+            this.startedAt = null;
+            this.expired = true;
+            this.changed(end);
+        }, Math.max(0, this.durationMs - this.elapsedMs(now)));
+    }
+
+    snapshot(now = Date.now()) {
+        return {
+            mode: this.mode,
+            running: this.running,
+            durationMs: this.durationMs,
+            startedAt: this.startedAt,
+            elapsedBefore: this.elapsedBefore,
+            expired: this.expired,
+            serverTime: now,
+            displayMs: this.displayMs(now)
+        };
+    }
+
+    changed(now) {
+        this.onChange(this.snapshot(now));
+    }
+
+    // Drop the expiry timer when the arena goes away
+    dispose() {
+        clearTimeout(this.expiryTimer);
+    }
+}
+
+module.exports = { RunTimer, MODES };
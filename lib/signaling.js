@@ -0,0 +1,75 @@
+// WebRTC signaling: relays offer/answer/ICE between a phone and the viewers watching it.
+// Media flows peer to peer; the base64 frame relay stays on for phones that cannot negotiate.
+
+function linkKey(deviceId, viewerId) {
+    return `${deviceId}|${viewerId}`;
+}
+
+function attachSignaling(io, socket, arena) {
+    // The phone side of a link is whichever socket registered as a camera device
+    const isDevice = () => arena.hasDevice(socket.id);
+
+    // Clients may send anything, including null, so handlers always get an object
+    function on(event, handler) {
+        socket.on(event, data => handler(data && typeof data === 'object' ? data : {}));
+    }
+
+    // Messages only go between sockets in this arena that have an open link
+    function isLinked(peerId) {
+        return isDevice()
+            ? arena.peerLinks.has(linkKey(socket.id, peerId))
+            : arena.peerLinks.has(linkKey(peerId, socket.id));
+    }
+
+    function relay(event, { to, ...payload }) {
+        if (!to || !isLinked(to)) {
+            console.warn(`Dropping ${event} from ${socket.id} to unlinked peer ${to}`);
+            return;
+        }
+        io.to(to).emit(event, { from: socket.id, ...payload });
+    }
+
+    function setTransport(deviceId, transport) {
+        if (arena.transports.get(deviceId) === transport) return;
+        arena.transports.set(deviceId, transport);
+        io.to(arena.controlRoom).emit('device-transport', { id: deviceId, transport });
+    }
+
+    // A control room or arena display asks a phone to start a peer connection
+    on('webrtc-request', ({ deviceId }) => {
+        if (!arena.hasDevice(deviceId)) return;
+        arena.peerLinks.add(linkKey(deviceId, socket.id));
+        io.to(deviceId).emit('webrtc-request', { from: socket.id });
+    });
+
+    on('webrtc-offer', (data) => relay('webrtc-offer', { to: data.to, sdp: data.sdp }));
+    on('webrtc-answer', (data) => relay('webrtc-answer', { to: data.to, sdp: data.sdp }));
+    on('webrtc-ice-candidate', (data) => relay('webrtc-ice-candidate', { to: data.to, candidate: data.candidate }));
+
+    // Either side reports the peer connection state so the control room knows what is carrying video
+    on('webrtc-state', (data) => {
+        if (!data.to || !isLinked(data.to)) return;
+        const deviceId = isDevice() ? socket.id : data.to;
+        if (data.state === 'connected') setTransport(deviceId, 'webrtc');
+        if (data.state === 'failed') setTransport(deviceId, 'frames');
+        relay('webrtc-state', { to: data.to, state: data.state });
+    });
+
+    on('webrtc-hangup', (data) => {
+        relay('webrtc-hangup', { to: data.to });
+        arena.peerLinks.delete(isDevice() ? linkKey(socket.id, data.to) : linkKey(data.to, socket.id));
+    });
+
+    // Close every link this socket was part of
+    socket.on('disconnect', () => {
+        arena.peerLinks.forEach(key => {
+            const [deviceId, viewerId] = key.split('|');
+            if (deviceId !== socket.id && viewerId !== socket.id) return;
+            arena.peerLinks.delete(key);
+            io.to(deviceId === socket.id ? viewerId : deviceId).emit('webrtc-hangup', { from: socket.id });
+        });
+        arena.transports.delete(socket.id);
+    });
+}
+
+module.exports = { attachSignaling };
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+
+// Server-driven sponsor rotation. The server owns the playlist and the clock and tells every
+// display which sponsor to show, so all screens in an arena change slides at the same moment.
+
+const DEFAULT_DWELL_MS = 10000;
+// Video spots end when a display reports the clip finished; until then this is the upper bound
+const DEFAULT_VIDEO_LIMIT_MS = 60000;
+// Extra time after a clip's reported length before giving up on the end report
+const VIDEO_END_GRACE_MS = 3000;
+const MIN_DWELL_MS = 2000;
+const MAX_DWELL_MS = 5 * 60 * 1000;
+// How often to look again when no sponsor is eligible, e.g. outside every day-part window
+const IDLE_RECHECK_MS = 30000;
+const EXPOSURE_WINDOW_MS = 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+// Accept the old plain URL list as well as full sponsor entries
+function normalizeSponsor(input) {
+    const entry = typeof input === 'string' ? { url: input } : { ...input };
+    if (!entry || typeof entry.url !== 'string' || !entry.url) {
+        throw new Error('Every sponsor needs a url');
+    }
+    const kind = entry.kind === 'video' || (!entry.kind && /\.mp4$/i.test(entry.url)) ? 'video' : 'image';
+    const dayparts = Array.isArray(entry.dayparts) ? entry.dayparts : [];
+    dayparts.forEach(({ start, end }) => {
+        if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+            throw new Error(`Day-part times must be HH:MM, got ${start}-${end}`);
+        }
+    });
+    return {
+        ...entry,
+        id: typeof entry.id === 'string' && entry.id ? entry.id : crypto.createHash('sha1').update(entry.url).digest('hex').slice(0, 12),
+        name: entry.name || entry.url,
+        kind,
+        dwellMs: clampNumber(entry.dwellMs, MIN_DWELL_MS, MAX_DWELL_MS, kind === 'video' ? DEFAULT_VIDEO_LIMIT_MS : DEFAULT_DWELL_MS),
+        weight: clampNumber(entry.weight, 0, 100, 1),
+        dayparts: dayparts.map(({ start, end }) => ({ start, end })),
+        // Guaranteed screen time per rolling hour
+        minExposureMs: clampNumber(entry.minExposureMs, 0, EXPOSURE_WINDOW_MS, 0),
+        enabled: entry.enabled !== false
+    };
+}
+
+function normalizePlaylist(sponsors) {
+    if (!Array.isArray(sponsors)) throw new Error('Sponsors must be a list');
+    return sponsors.map(normalizeSponsor);
+}
+
+function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Day-parts use the server's local time; a window may wrap past midnight
+function inDaypart(sponsor, date) {
+    if (sponsor.dayparts.length === 0) return true;
+    const now = date.getHours() * 60 + date.getMinutes();
+    return sponsor.dayparts.some(({ start, end }) => {
+        const from = minutesOfDay(start);
+        const to = minutesOfDay(end);
+        return from <= to ? now >= from && now < to : now >= from || now < to;
+    });
+}
+
+class SponsorRotation {
+    constructor(onSlide) {
+        this.onSlide = onSlide;
+        this.playlist = [];
+        this.current = null;
+        this.timer = null;
+        this.paused = false;
+        // Video spots are held back while camera footage is on program
+        this.videoAllowed = true;
+        // Displays that could not play the current video spot
+        this.playbackErrors = new Set();
+        // Smooth weighted round-robin credit per sponsor ID
+        this.credit = new Map();
+        // Recent { sponsorId, start, end } for guaranteed-minimum accounting
+        this.exposures = [];
+    }
+
+    setPlaylist(sponsors) {
+        this.playlist = normalizePlaylist(sponsors);
+        const stillListed = this.current && this.playlist.some(sponsor => sponsor.id === this.current.sponsor.id);
+        // Keep the slide on screen if it survived the edit, otherwise move on right away
+        if (!stillListed && !this.paused) this.advance();
+        return this.playlist;
+    }
+
+    start() {
+        this.paused = false;
+        if (!this.timer) this.advance();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.closeExposure(Date.now());
+        this.current = null;
+    }
+
+    pause() {
+        this.paused = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.advance();
+    }
+
+    skip() {
+        if (!this.paused) this.advance();
+    }
+
+    // Going live cuts a running video spot short and keeps videos out until program is clear again
+    setVideoAllowed(allowed) {
+        if (this.videoAllowed === allowed) return;
+        this.videoAllowed = allowed;
+        if (!allowed && this.isPlayingVideo() && !this.paused) this.advance();
+    }
+
+    isPlayingVideo(sponsorId) {
+        return Boolean(this.current && this.current.sponsor.kind === 'video' &&
+            (!sponsorId || this.current.sponsor.id === sponsorId));
+    }
+
+    // A display started the clip; once its length is known, wait for that rather than the upper bound
+    playbackStarted(sponsorId, durationMs) {
+        if (!this.isPlayingVideo(sponsorId) || this.paused || this.current.durationMs) return;
+        const duration = Number(durationMs);
+        if (!Number.isFinite(duration) || duration <= 0) return;
+        this.current.durationMs = Math.round(Math.min(duration, MAX_DWELL_MS));
+        this.current.endsAt = this.current.startedAt + this.current.durationMs;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.advance(), Math.max(0, this.current.endsAt - Date.now()) + VIDEO_END_GRACE_MS);
+    }
+
+    // The first display to finish the clip moves every display on
+    playbackEnded(sponsorId) {
+        if (this.isPlayingVideo(sponsorId) && !this.paused) this.advance();
+    }
+
+    // Skip a spot only when no display in the arena can play it
+    playbackFailed(sponsorId, displayId, displayIds) {
+        if (!this.isPlayingVideo(sponsorId)) return;
+        this.playbackErrors.add(displayId);
+        if (!this.paused && displayIds.every(id => this.playbackErrors.has(id))) this.advance();
+    }
+
+    state() {
+        return {
+            current: this.current,
+            paused: this.paused,
+            playlist: this.playlist
+        };
+    }
+
+    exposureMs(sponsorId, now) {
+        return this.exposures
+            .filter(exposure => exposure.sponsorId === sponsorId)
+            .reduce((total, exposure) => total + (exposure.end || now) - Math.max(exposure.start, now - EXPOSURE_WINDOW_MS), 0);
+    }
+
+    closeExposure(now) {
+        const open = this.exposures[this.exposures.length - 1];
+        if (open && !open.end) open.end = now;
+        this.exposures = this.exposures.filter(exposure => !exposure.end || exposure.end > now - EXPOSURE_WINDOW_MS);
+    }
+
+    // Sponsors behind on their guaranteed minimum go first, the rest share by weight
+    pickNext(now) {
+        const date = new Date(now);
+        const eligible = this.playlist.filter(sponsor => sponsor.enabled && inDaypart(sponsor, date) &&
+            (this.videoAllowed || sponsor.kind !== 'video'));
+        if (eligible.length === 0) return null;
+
+        const behind = eligible
+            .filter(sponsor => sponsor.minExposureMs > 0)
+            .map(sponsor => ({ sponsor, share: this.exposureMs(sponsor.id, now) / sponsor.minExposureMs }))
+            .filter(({ share }) => share < 1)
+            .sort((a, b) => a.share - b.share);
+        if (behind.length) return behind[0].sponsor;
+
+        const weighted = eligible.filter(sponsor => sponsor.weight > 0);
+        if (weighted.length === 0) return null;
+        const total = weighted.reduce((sum, sponsor) => sum + sponsor.weight, 0);
+        let best = null;
+        weighted.forEach(sponsor => {
+            const credit = (this.credit.get(sponsor.id) || 0) + sponsor.weight;
+            this.credit.set(sponsor.id, credit);
+            if (!best || credit > this.credit.get(best.id)) best = sponsor;
+        });
+        this.credit.set(best.id, this.credit.get(best.id) - total);
+        return best;
+    }
+
+    advance() {
+        clearTimeout(this.timer);
+        const now = Date.now();
+        this.closeExposure(now);
+        this.playbackErrors.clear();
+
+        const sponsor = this.pickNext(now);
+        if (!sponsor) {
+            this.current = null;
+            this.timer = setTimeout(() => this.advance(), IDLE_RECHECK_MS);
+            this.onSlide(null);
+            return;
+        }
+
+        this.exposures.push({ sponsorId: sponsor.id, start: now, end: null });
+        this.current = { sponsor, startedAt: now, endsAt: now + sponsor.dwellMs };
+        this.timer = setTimeout(() => this.advance(), sponsor.dwellMs);
+        this.onSlide(this.current);
+    }
+}
+
+module.exports = { SponsorRotation, normalizePlaylist };
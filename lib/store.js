@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file storage for state that has to survive a server restart
+
+const DATA_DIR = process.env.CROWDCASTR_DATA_DIR || path.join(__dirname, '..', 'data');
+
+function createStore(name, defaults) {
+    const filePath = path.join(DATA_DIR, `${name}.json`);
+
+    function load() {
+        if (!fs.existsSync(filePath)) return structuredClone(defaults);
+        try {
+            return { ...structuredClone(defaults), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        } catch (err) {
+            console.error(`Could not read ${filePath}, starting from defaults:`, err.message);
+            return structuredClone(defaults);
+        }
+    }
+
+    // Write to a temp file and rename so a crash mid-write never leaves a truncated file
+    function save(data) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    function remove() {
+        fs.rmSync(filePath, { force: true });
+    }
+
+    return { filePath, load, save, remove };
+}
+
+module.exports = { DATA_DIR, createStore };
@@ -0,0 +1,139 @@
+// Per-contributor frame size and rate. The server tells each phone what to send: small thumbnails
+// while it is only a preview, full resolution once it is live, and a lower step whenever the phone
+// or the screens watching it cannot keep up.
+
+// Quality ladders, best first
+const LADDERS = {
+    preview: [
+        { width: 320, height: 240, quality: 0.5, fps: 2 },
+        { width: 240, height: 180, quality: 0.4, fps: 1 }
+    ],
+    live: [
+        { width: 1280, height: 720, quality: 0.8, fps: 12 },
+        { width: 960, height: 540, quality: 0.7, fps: 10 },
+        { width: 640, height: 480, quality: 0.7, fps: 6 },
+        { width: 480, height: 360, quality: 0.6, fps: 4 }
+    ]
+};
+
+const FPS_WINDOW_MS = 5000;
+// Step down when the phone delivers less than this share of the requested rate
+const MIN_DELIVERY_RATIO = 0.6;
+// Time at one level before stepping up again, and before judging a new level
+const UPSHIFT_AFTER_MS = 15000;
+const SETTLE_MS = 4000;
+
+function createStreamState(now = Date.now()) {
+    return {
+        mode: 'preview',
+        level: 0,
+        changedAt: now,
+        lastFrameAt: 0,
+        arrivals: [],
+        width: null,
+        height: null
+    };
+}
+
+function profileFor(state) {
+    const step = LADDERS[state.mode][state.level];
+    return {
+        mode: state.mode,
+        width: step.width,
+        height: step.height,
+        quality: step.quality,
+        fps: step.fps,
+        intervalMs: Math.round(1000 / step.fps)
+    };
+}
+
+function setMode(state, mode, now = Date.now()) {
+    if (state.mode === mode) return false;
+    state.mode = mode;
+    state.level = 0;
+    state.changedAt = now;
+    state.arrivals = [];
+    return true;
+}
+
+// Read width and height from a JPEG data URL without decoding the whole image
+function jpegSize(dataUrl) {
+    if (typeof dataUrl !== 'string') return null;
+    const comma = dataUrl.indexOf(',');
+    if (comma < 0 || !dataUrl.startsWith('data:image/jpeg')) return null;
+    const bytes = Buffer.from(dataUrl.slice(comma + 1, comma + 1 + 8192), 'base64');
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xff) return null;
+        const marker = bytes[offset + 1];
+        // Start-of-frame markers carry the dimensions
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { height: bytes.readUInt16BE(offset + 5), width: bytes.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+// Record an incoming frame. Returns false when it arrived well ahead of the requested rate,
+// in which case the caller should discard it rather than store and relay it.
+function recordFrame(state, data, now = Date.now()) {
+    const { intervalMs } = profileFor(state);
+    if (now - state.lastFrameAt < intervalMs / 2) return false;
+    state.lastFrameAt = now;
+    state.arrivals.push(now);
+    while (state.arrivals.length && state.arrivals[0] < now - FPS_WINDOW_MS) state.arrivals.shift();
+    const size = jpegSize(data);
+    if (size) {
+        state.width = size.width;
+        state.height = size.height;
+    }
+    return true;
+}
+
+// Frames per second since the last profile change, over at most the measuring window
+function measuredFps(state, now = Date.now()) {
+    const since = Math.max(now - FPS_WINDOW_MS, state.changedAt);
+    const recent = state.arrivals.filter(time => time >= since);
+    const span = now - since;
+    return span > 0 ? Math.round((recent.length / span) * 10000) / 10 : 0;
+}
+
+// Move one step down the ladder when the phone falls behind or viewers dropped its frames,
+// and one step back up after a quiet period. Returns true if the profile changed.
+function evaluate(state, droppedFrames, now = Date.now()) {
+    const ladder = LADDERS[state.mode];
+    const age = now - state.changedAt;
+    if (age < SETTLE_MS) return false;
+
+    // Nothing to judge while the phone is not sending frames, e.g. when video goes over WebRTC
+    const fps = measuredFps(state, now);
+    if (fps === 0) return false;
+
+    const behind = fps < profileFor(state).fps * MIN_DELIVERY_RATIO;
+    if ((behind || droppedFrames > 0) && state.level < ladder.length - 1) {
+        state.level++;
+        state.changedAt = now;
+        return true;
+    }
+    if (!behind && droppedFrames === 0 && state.level > 0 && age >= UPSHIFT_AFTER_MS) {
+        state.level--;
+        state.changedAt = now;
+        return true;
+    }
+    return false;
+}
+
+function describe(state, now = Date.now()) {
+    const profile = profileFor(state);
+    return {
+        mode: state.mode,
+        level: state.level,
+        target: { width: profile.width, height: profile.height, fps: profile.fps },
+        width: state.width,
+        height: state.height,
+        fps: measuredFps(state, now)
+    };
+}
+
+module.exports = { createStreamState, profileFor, setMode, recordFrame, evaluate, describe, jpegSize };
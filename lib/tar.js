@@ -0,0 +1,41 @@
+// Writes plain ustar archives, enough to bundle a clip's frames into one download
+
+const BLOCK = 512;
+
+function header(name, size, mtime) {
+    const block = Buffer.alloc(BLOCK);
+    const write = (value, offset, length) => block.write(value, offset, length, 'ascii');
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+
+    write(name, 0, 100);
+    write(octal(0o644, 8), 100, 8);
+    write(octal(0, 8), 108, 8);
+    write(octal(0, 8), 116, 8);
+    write(octal(size, 12), 124, 12);
+    write(octal(Math.floor(mtime / 1000), 12), 136, 12);
+    // The checksum is computed with its own field filled with spaces
+    write('        ', 148, 8);
+    write('0', 156, 1);
+    write('ustar\u000000', 257, 8);
+
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) sum += block[i];
+    write(`${octal(sum, 7)}\u0000 `, 148, 8);
+    return block;
+}
+
+// files: [{ name, data: Buffer, mtime }]; names must be ASCII and under 100 characters
+function create(files) {
+    const parts = [];
+    files.forEach(({ name, data, mtime = Date.now() }) => {
+        if (!/^[\x20-\x7e]{1,99}$/.test(name)) throw new Error(`Unsupported file name in archive: ${name}`);
+        parts.push(header(name, data.length, mtime), data);
+        const padding = (BLOCK - (data.length % BLOCK)) % BLOCK;
+        if (padding) parts.push(Buffer.alloc(padding));
+    });
+    // Two empty blocks end the archive
+    parts.push(Buffer.alloc(BLOCK * 2));
+    return Buffer.concat(parts);
+}
+
+module.exports = { create };
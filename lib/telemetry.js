@@ -0,0 +1,153 @@
+// Contributor health. Phones report what only they know (battery, network, camera, frames their
+// encoder dropped) and the server adds what it sees (frame arrivals, round trip, frames dropped
+// for slow screens). The result is a snapshot per device with warnings, so the control room can
+// swap a phone out before it dies on air.
+
+const NO_FRAME_WARNING_MS = 3000;
+const NO_FRAME_CRITICAL_MS = 10000;
+const LOW_BATTERY = 0.2;
+const CRITICAL_BATTERY = 0.1;
+const HIGH_RTT_MS = 500;
+const SLOW_CONNECTIONS = ['slow-2g', '2g'];
+// Dropped frames, from the phone and the relay together, within the window that raise a warning
+const DROP_WINDOW_MS = 10000;
+const DROP_WARNING_COUNT = 10;
+
+function createTelemetry(now = Date.now()) {
+    return {
+        registeredAt: now,
+        reportedAt: null,
+        battery: null,
+        charging: null,
+        connectionType: null,
+        effectiveType: null,
+        downlinkMbps: null,
+        rttMs: null,
+        camera: null,
+        // Last cumulative count the phone reported, to turn it into increments
+        phoneDropped: null,
+        // { at, source: 'phone' | 'relay', count }
+        drops: [],
+        // Warning codes raised at the last check
+        warnings: []
+    };
+}
+
+function numberIn(value, min, max) {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+function text(value, max = 20) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null;
+}
+
+function pruneDrops(telemetry, now) {
+    while (telemetry.drops.length && telemetry.drops[0].at < now - DROP_WINDOW_MS) telemetry.drops.shift();
+}
+
+// Apply a report from the phone: { battery (0-1), charging, connectionType, effectiveType,
+// downlinkMbps, rttMs, droppedFrames (running total), camera: { width, height } }.
+// Fields that are missing or invalid keep their previous value.
+function recordReport(telemetry, report, now = Date.now()) {
+    if (!report || typeof report !== 'object') return false;
+    const battery = numberIn(report.battery, 0, 100);
+    // The Battery Status API reports 0-1; accept percentages too
+    if (battery !== null) telemetry.battery = battery > 1 ? battery / 100 : battery;
+    if (typeof report.charging === 'boolean') telemetry.charging = report.charging;
+    telemetry.connectionType = text(report.connectionType) || telemetry.connectionType;
+    telemetry.effectiveType = text(report.effectiveType) || telemetry.effectiveType;
+    const downlink = numberIn(report.downlinkMbps, 0, 10000);
+    if (downlink !== null) telemetry.downlinkMbps = downlink;
+    const rtt = numberIn(report.rttMs, 0, 60000);
+    if (rtt !== null) telemetry.rttMs = Math.round(rtt);
+
+    const dropped = numberIn(report.droppedFrames, 0, Number.MAX_SAFE_INTEGER);
+    if (dropped !== null) {
+        if (telemetry.phoneDropped !== null) {
+            // A smaller total means the phone restarted its counter
+            const added = dropped >= telemetry.phoneDropped ? dropped - telemetry.phoneDropped : dropped;
+            if (added > 0) telemetry.drops.push({ at: now, source: 'phone', count: added });
+        }
+        telemetry.phoneDropped = dropped;
+    }
+
+    const camera = report.camera;
+    if (camera && typeof camera === 'object') {
+        const width = numberIn(camera.width, 1, 10000);
+        const height = numberIn(camera.height, 1, 10000);
+        if (width && height) telemetry.camera = { width, height };
+    }
+    telemetry.reportedAt = now;
+    pruneDrops(telemetry, now);
+    return true;
+}
+
+// Frames from this device the relay dropped for slow screens
+function recordRelayDrops(telemetry, count, now = Date.now()) {
+    if (count > 0) telemetry.drops.push({ at: now, source: 'relay', count });
+    pruneDrops(telemetry, now);
+}
+
+function droppedInWindow(telemetry, source) {
+    return telemetry.drops.filter(drop => drop.source === source).reduce((sum, drop) => sum + drop.count, 0);
+}
+
+// context: { lastFrameAt, transport, serverRttMs }
+function warningsFor(telemetry, { lastFrameAt, transport, serverRttMs }, now) {
+    const warnings = [];
+    // Video over WebRTC does not arrive as frames, so silence there says nothing
+    if (transport !== 'webrtc') {
+        const silentMs = now - (lastFrameAt || telemetry.registeredAt);
+        if (silentMs >= NO_FRAME_WARNING_MS) {
+            warnings.push({
+                code: 'no-frames',
+                level: silentMs >= NO_FRAME_CRITICAL_MS ? 'critical' : 'warning',
+                message: `No frame for ${Math.floor(silentMs / 1000)}s`
+            });
+        }
+    }
+    if (telemetry.battery !== null && telemetry.battery < LOW_BATTERY && !telemetry.charging) {
+        warnings.push({
+            code: 'low-battery',
+            level: telemetry.battery < CRITICAL_BATTERY ? 'critical' : 'warning',
+            message: `Low battery (${Math.round(telemetry.battery * 100)}%)`
+        });
+    }
+    const rtt = Math.max(serverRttMs || 0, telemetry.rttMs || 0);
+    if (rtt > HIGH_RTT_MS) warnings.push({ code: 'high-latency', level: 'warning', message: `High latency (${rtt} ms)` });
+    if (SLOW_CONNECTIONS.includes(telemetry.effectiveType)) {
+        warnings.push({ code: 'slow-connection', level: 'warning', message: `Slow connection (${telemetry.effectiveType})` });
+    }
+    const dropped = droppedInWindow(telemetry, 'phone') + droppedInWindow(telemetry, 'relay');
+    if (dropped >= DROP_WARNING_COUNT) {
+        warnings.push({ code: 'dropping-frames', level: 'warning', message: `${dropped} frames dropped in ${DROP_WINDOW_MS / 1000}s` });
+    }
+    return warnings;
+}
+
+// Snapshot for the control room. Also returns the warnings that were not raised at the previous
+// check, so callers can alert on them once.
+function check(telemetry, context, now = Date.now()) {
+    pruneDrops(telemetry, now);
+    const warnings = warningsFor(telemetry, context, now);
+    const raised = warnings.filter(warning => !telemetry.warnings.includes(warning.code));
+    telemetry.warnings = warnings.map(warning => warning.code);
+    const health = {
+        battery: telemetry.battery,
+        charging: telemetry.charging,
+        connectionType: telemetry.connectionType,
+        effectiveType: telemetry.effectiveType,
+        downlinkMbps: telemetry.downlinkMbps,
+        rttMs: telemetry.rttMs,
+        serverRttMs: context.serverRttMs === undefined ? null : context.serverRttMs,
+        droppedFrames: { phone: droppedInWindow(telemetry, 'phone'), relay: droppedInWindow(telemetry, 'relay') },
+        camera: telemetry.camera,
+        lastFrameAgoMs: context.lastFrameAt ? now - context.lastFrameAt : null,
+        reportedAt: telemetry.reportedAt,
+        warnings
+    };
+    return { health, raised };
+}
+
+module.exports = { createTelemetry, recordReport, recordRelayDrops, check };
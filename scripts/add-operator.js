@@ -0,0 +1,20 @@
+// Create or replace an operator account
+// Usage: npm run add-operator -- <username> <role> <password>
+
+const { addOperator, ROLES } = require('../lib/auth');
+
+const [username, role, password] = process.argv.slice(2);
+
+if (!username || !role || !password) {
+    console.error('Usage: npm run add-operator -- <username> <role> <password>');
+    console.error(`Roles: ${ROLES.join(', ')}`);
+    process.exit(1);
+}
+
+try {
+    addOperator(username, role, password);
+    console.log(`Saved operator "${username}" with role "${role}"`);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
@@ -0,0 +1,19 @@
+// Create the local CA if needed and (re)issue the server certificate for this machine's addresses
+// Usage: npm run setup-certs [-- --force] [server flags such as --host or --interface]
+
+const { loadConfig } = require('../lib/config');
+const { ensureCertificates } = require('../lib/certs');
+
+const force = process.argv.includes('--force');
+const config = loadConfig(process.argv.slice(2).filter(arg => arg !== '--force'));
+
+ensureCertificates(config, { force })
+    .then(({ renewed, domains }) => {
+        console.log(renewed ? 'Certificate written to' : 'Certificate is current:', config.tls.cert);
+        console.log('Covers:', domains.join(', '));
+        console.log('CA certificate for phones:', config.tls.caCert);
+    })
+    .catch((err) => {
+        console.error('Certificate setup failed:', err);
+        process.exit(1);
+    });
@@ -1,50 +1,135 @@
+const crypto = require('crypto');
 const express = require('express');
+const multer = require('multer');
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const socketIo = require('socket.io');
 const QRCode = require('qrcode');
+const auth = require('./lib/auth');
+const { loadConfig } = require('./lib/config');
+const certs = require('./lib/certs');
+const arenas = require('./lib/arenas');
+const presets = require('./lib/presets');
+const { attachSignaling } = require('./lib/signaling');
+const { attachClockSync } = require('./lib/clock-sync');
+const { FrameRelay } = require('./lib/frame-relay');
+const streamProfiles = require('./lib/stream-profiles');
+const telemetry = require('./lib/telemetry');
+const bus = require('./lib/bus');
+const layouts = require('./lib/layouts');
+const { SponsorRotation } = require('./lib/sponsor-rotation');
+const impressions = require('./lib/impressions');
+const audit = require('./lib/audit');
+const failover = require('./lib/failover');
+const media = require('./lib/media');
+const renditions = require('./lib/renditions');
+const overlays = require('./lib/overlays');
+const draw = require('./lib/draw');
+const { RunTimer } = require('./lib/run-timer');
+const { FrameBuffer } = require('./lib/frame-buffer');
+const recordings = require('./lib/recordings');
+const clips = require('./lib/clips');
+const { ReplayPlayer, DEFAULT_SECONDS: DEFAULT_REPLAY_SECONDS } = require('./lib/replay');
+const csv = require('./lib/csv');
+const landingPage = require('./lib/landing-page');
 
-const app = express();
+// Host, port and TLS paths come from crowdcastr.config.json, env vars and CLI flags
+const config = loadConfig();
 
-// SSL Certificate configuration
-const options = {
-    key: fs.readFileSync('cert.key'),
-    cert: fs.readFileSync('cert.crt')
-};
+const app = express();
+app.set('trust proxy', config.trustProxy);
 
-const server = https.createServer(options, app);
+// Certificates are loaded into the server once they have been checked at startup
+const server = https.createServer(app);
 const io = socketIo(server);
 
-// Your specific IP address
-const IP_ADDRESS = '192.168.0.13';
+// Plain HTTP listener for use behind a reverse proxy that terminates TLS
+const httpServer = config.httpPort ? http.createServer(app) : null;
+if (httpServer) io.attach(httpServer);
+
+// Previews and live frames go only to the screens that show them, dropping stale frames
+const frameRelay = new FrameRelay(io);
+
+app.use(express.json());
+
+// Resolve the arena from the route parameter or ?arena=, defaulting to the main arena
+function withArena(req, res, next) {
+    const arena = arenas.get(req.params.arenaId || req.query.arena);
+    if (!arena) return res.status(404).json({ error: 'Arena not found' });
+    req.arena = arena;
+    next();
+}
+
+// Protected pages must not be reachable through the static file server
+app.get('/control-room.html', auth.requirePage('control-room'));
+app.get('/arena-display.html', auth.requirePage('arena-display'));
 
-// Store streams, active device and settings
-const streams = new Map();
-let activeLiveDevice = null;
-let displaySettings = {
-    margins: { left: 0, right: 0, top: 0, bottom: 0 },
-    colors: {
-        background: '#000000',
-        font: '#FFFFFF'
+// Uploaded media is served inert: no sniffing, no scripts even when an SVG is opened directly
+app.use(media.PUBLIC_PATH, express.static(media.MEDIA_DIR, {
+    setHeaders: (res) => {
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
     }
-};
+}));
 
-let mobileSettings = {
-    cameraFlip: false,
-    demoMode: false,
-    mainboardPopup: false
-};
+// Serve static files; "/" is the server's own landing page, not public/index.html
+app.use(express.static('public', { index: false }));
 
-// Serve static files
-app.use(express.static('public'));
+// Operator login for scripted clients; browsers can also use the Basic auth prompt
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const operator = auth.authenticate(username, password);
+    if (!operator) {
+        audit.record('login-failed', requestActor(req), { username: typeof username === 'string' ? username.slice(0, 100) : null });
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    audit.record('login', { ...requestActor(req), operator: operator.username, role: operator.role });
+    const token = auth.createSession(operator);
+    auth.setSessionCookie(res, token);
+    res.json({ ...operator, token });
+});
+
+app.post('/api/logout', (req, res) => {
+    auth.destroySession(auth.parseCookies(req.headers.cookie)[auth.SESSION_COOKIE]);
+    res.setHeader('Set-Cookie', `${auth.SESSION_COOKIE}=; Path=/; Max-Age=0`);
+    res.json({ ok: true });
+});
+
+function mobileUrl(arena) {
+    const query = arena.id === arenas.DEFAULT_ARENA ? '' : `?arena=${encodeURIComponent(arena.id)}`;
+    return `${config.publicUrl}/mobile${query}`;
+}
 
-// Generate QR code with specific IP
-app.get('/api/qr-code', async (req, res) => {
+// Generate the QR code phones scan to join an arena
+async function sendQrCode(req, res) {
     try {
-        const url = `https://${IP_ADDRESS}:3000/mobile`;
+        const url = mobileUrl(req.arena);
         const qrCode = await QRCode.toDataURL(url);
-        res.json({ qrCode });
+        res.json({ qrCode, url });
+    } catch (err) {
+        console.error('QR Code generation error:', err);
+        res.status(500).json({ error: 'Failed to generate QR code' });
+    }
+}
+
+app.get('/api/qr-code', withArena, sendQrCode);
+app.get('/api/arenas/:arenaId/qr-code', withArena, sendQrCode);
+
+// Phones download the local CA from here to trust the server certificate
+app.get('/ca.crt', (req, res) => {
+    if (!fs.existsSync(config.tls.caCert)) return res.status(404).send('No local CA configured');
+    res.type('application/x-x509-ca-cert');
+    res.attachment('crowdcastr-ca.crt');
+    res.sendFile(config.tls.caCert);
+});
+
+app.get('/api/ca-qr-code', async (req, res) => {
+    try {
+        const url = `${config.publicUrl}/ca.crt`;
+        const qrCode = await QRCode.toDataURL(url);
+        res.json({ qrCode, url });
     } catch (err) {
         console.error('QR Code generation error:', err);
         res.status(500).json({ error: 'Failed to generate QR code' });
@@ -52,142 +137,1529 @@ app.get('/api/qr-code', async (req, res) => {
 });
 
 // Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+app.get('/', async (req, res) => {
+    const info = serverInfo();
+    try {
+        res.send(landingPage.render(info, await QRCode.toDataURL(info.mobileUrl)));
+    } catch (err) {
+        console.error('QR Code generation error:', err);
+        res.status(500).send('Failed to generate QR code');
+    }
 });
 
-app.get('/mobile', (req, res) => {
+app.get('/mobile', withArena, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'mobile.html'));
 });
 
-app.get('/control-room', (req, res) => {
+app.get('/control-room/:arenaId?', auth.requirePage('control-room'), withArena, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'control-room.html'));
 });
 
-app.get('/arena-display', (req, res) => {
+app.get('/arena-display/:arenaId?', auth.requirePage('arena-display'), withArena, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'arena-display.html'));
 });
 
+// Where this server is reachable, as shown on the landing page
+function serverInfo() {
+    return {
+        url: config.publicUrl,
+        mobileUrl: mobileUrl(arenas.get()),
+        lanAddresses: config.lanAddresses
+    };
+}
+
+app.get('/api/server-info', (req, res) => {
+    res.json(serverInfo());
+});
+
 // Get current settings
-app.get('/api/settings', (req, res) => {
-    res.json({
-        display: displaySettings,
-        mobile: mobileSettings
+app.get('/api/settings', withArena, (req, res) => {
+    res.json(req.arena.getSettings());
+});
+
+// Arenas
+app.get('/api/arenas', (req, res) => {
+    res.json(arenas.list());
+});
+
+app.post('/api/arenas', auth.requireRole('producer'), (req, res) => {
+    try {
+        const { id, name } = req.body || {};
+        const arena = arenas.create(id, name);
+        startArenaServices(arena);
+        scheduleDisplayRenditions();
+        console.log('Created arena:', arena.id);
+        audit.record('arena-create', requestActor(req), { arena: arena.id, after: { id: arena.id, name: arena.name } });
+        res.status(201).json({ id: arena.id, name: arena.name });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/arenas/:arenaId', auth.requireRole('producer'), withArena, (req, res) => {
+    try {
+        arenas.remove(req.arena.id);
+        // Disconnect first so the sockets' cleanup cannot start timers that outlive the arena
+        io.in(req.arena.room).disconnectSockets(true);
+        stopArenaServices(req.arena);
+        scheduleDisplayRenditions();
+        console.log('Removed arena:', req.arena.id);
+        audit.record('arena-delete', requestActor(req), { arena: req.arena.id, before: { id: req.arena.id, name: req.arena.name } });
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Show presets
+app.get('/api/presets', auth.requireRole('producer'), (req, res) => {
+    res.json(presets.list());
+});
+
+// Save an arena's current show state under a name
+app.post('/api/presets', auth.requireRole('producer'), withArena, (req, res) => {
+    try {
+        const preset = presets.save(req.body && req.body.name, {
+            display: req.arena.displaySettings,
+            mobile: req.arena.mobileSettings,
+            sponsors: req.arena.sponsors
+        });
+        res.status(201).json(preset);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/presets/import', auth.requireRole('producer'), (req, res) => {
+    try {
+        res.status(201).json(presets.importPreset(req.body));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.get('/api/presets/:name/export', auth.requireRole('producer'), (req, res) => {
+    const preset = presets.get(req.params.name);
+    if (!preset) return res.status(404).json({ error: 'Preset not found' });
+    res.attachment(`${preset.name}.json`);
+    res.send(JSON.stringify(preset, null, 2));
+});
+
+// Apply a preset and push it to every client in the arena at once
+app.post('/api/presets/:name/apply', auth.requireRole('producer'), withArena, (req, res) => {
+    const preset = presets.get(req.params.name);
+    if (!preset) return res.status(404).json({ error: 'Preset not found' });
+    const arena = req.arena;
+    let sponsors;
+    try {
+        sponsors = arena.sponsorRotation.setPlaylist(structuredClone(preset.sponsors));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    console.log(`Applying preset ${preset.name} to arena ${arena.id}`);
+    audit.record('preset-apply', requestActor(req), {
+        arena: arena.id,
+        preset: preset.name,
+        before: { display: arena.displaySettings, mobile: arena.mobileSettings, sponsors: arena.sponsors },
+        after: { display: preset.display, mobile: preset.mobile, sponsors }
+    });
+    arena.displaySettings = structuredClone(preset.display);
+    arena.mobileSettings = structuredClone(preset.mobile);
+    arena.sponsors = sponsors;
+    arena.save();
+    scheduleDisplayRenditions();
+    io.to(arena.room).emit('display-settings-updated', arena.displaySettings);
+    io.to(arena.room).emit('mobile-settings-updated', arena.mobileSettings);
+    io.to(arena.room).emit('update-sponsors', arena.sponsors);
+    emitSponsorRotation(arena);
+    res.json(preset);
+});
+
+app.delete('/api/presets/:name', auth.requireRole('producer'), (req, res) => {
+    if (!presets.remove(req.params.name)) return res.status(404).json({ error: 'Preset not found' });
+    res.json({ ok: true });
+});
+
+// Display areas of all arenas, one display rendition is made for each
+function arenaDisplaySizes() {
+    const sizes = new Map();
+    arenas.all().forEach(arena => {
+        const size = renditions.displaySize(arena.displaySettings.margins);
+        sizes.set(`${size.width}x${size.height}`, size);
+    });
+    return Array.from(sizes.values());
+}
+
+function renditionUrls({ thumbnail, logo, display }) {
+    return {
+        thumbnail: media.urlFor(thumbnail),
+        logo: media.urlFor(logo),
+        display: Object.fromEntries(Object.entries(display).map(([size, fileName]) => [size, media.urlFor(fileName)]))
+    };
+}
+
+// Store an upload and, for images, its renditions and colour metadata. An image that passes the
+// header check but does not decode is taken out of the library again.
+async function ingestMedia(buffer, options) {
+    const { entry, duplicate } = media.add(buffer, options);
+    if (duplicate || !renditions.IMAGE_TYPES.includes(entry.type)) return { entry, duplicate };
+    try {
+        const details = await renditions.processImage(media.filePath(entry), entry.id, arenaDisplaySizes());
+        return { entry: media.update(entry.id, { ...details, renditions: renditionUrls(details.renditions) }), duplicate };
+    } catch (err) {
+        media.remove(entry.id);
+        throw new Error(`Could not read the image: ${err.message}`);
+    }
+}
+
+// Display renditions follow the arenas' margins: sizes no arena has yet are made for every image
+// and sizes no arena uses any more are deleted
+async function syncDisplayRenditions() {
+    const sizes = arenaDisplaySizes();
+    const wanted = new Set(sizes.map(size => `${size.width}x${size.height}`));
+    for (const { id } of media.list()) {
+        const current = media.get(id);
+        if (!current || !current.renditions) continue;
+        const added = {};
+        for (const size of sizes) {
+            const key = `${size.width}x${size.height}`;
+            if (current.renditions.display[key]) continue;
+            added[key] = media.urlFor(await renditions.addDisplaySize(media.filePath(current), id, size));
+        }
+
+        // The entry may have changed, or been deleted, while rendering
+        const entry = media.get(id);
+        if (!entry) {
+            Object.keys(added).forEach(key => renditions.removeDisplaySize(media.MEDIA_DIR, id, key));
+            continue;
+        }
+        const display = { ...entry.renditions.display, ...added };
+        Object.keys(display).filter(key => !wanted.has(key)).forEach(key => {
+            renditions.removeDisplaySize(media.MEDIA_DIR, id, key);
+            delete display[key];
+        });
+        media.update(id, { renditions: { ...entry.renditions, display } });
+    }
+}
+
+// Margin sliders send a burst of updates, so wait for them to settle and never run two syncs at once
+const RENDITION_SYNC_DELAY_MS = 2000;
+let renditionSyncTimer = null;
+let renditionSync = Promise.resolve();
+
+function scheduleDisplayRenditions() {
+    clearTimeout(renditionSyncTimer);
+    renditionSyncTimer = setTimeout(() => {
+        renditionSync = renditionSync
+            .then(syncDisplayRenditions)
+            .catch((err) => console.error('Failed to update display renditions:', err));
+    }, RENDITION_SYNC_DELAY_MS);
+}
+
+// Point displays at the rendition made for their arena's display area, when the sponsor is library media
+function withRenditions(arena, slide) {
+    const entry = slide && media.findByUrl(slide.sponsor.url);
+    if (!entry || !entry.renditions) return slide;
+    const size = renditions.displaySize(arena.displaySettings.margins);
+    return {
+        ...slide,
+        media: {
+            displayUrl: entry.renditions.display[`${size.width}x${size.height}`] || entry.url,
+            logoUrl: entry.renditions.logo,
+            dominantColor: entry.dominantColor
+        }
+    };
+}
+
+// Sponsor media library
+const mediaUpload = multer({
+    storage: media.uploadStorage,
+    limits: { fileSize: media.MAX_VIDEO_BYTES, files: 1 }
+}).single('file');
+
+app.get('/api/media', auth.requireRole('producer', 'sponsor-manager'), (req, res) => {
+    res.json(media.list());
+});
+
+// Multipart upload with the file in the "file" field; an identical file already in the library is returned as is
+app.post('/api/media', auth.requireRole('producer', 'sponsor-manager'), (req, res) => {
+    mediaUpload(req, res, (err) => {
+        if (err) {
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({ error: tooLarge && err instanceof multer.MulterError ? 'File is too large' : err.message });
+        }
+        if (!req.file) return res.status(400).json({ error: 'Send the file in a multipart "file" field' });
+        ingestMedia(req.file.buffer, {
+            originalName: req.file.originalname,
+            declaredType: req.file.mimetype,
+            uploadedBy: req.operator.username
+        }).then(({ entry, duplicate }) => {
+            console.log(duplicate ? 'Duplicate media upload:' : 'Stored media:', entry.fileName);
+            audit.record('media-upload', requestActor(req), { after: entry, duplicate });
+            res.status(duplicate ? 200 : 201).json({ ...entry, duplicate });
+        }).catch((uploadErr) => {
+            res.status(400).json({ error: uploadErr.message });
+        });
     });
 });
 
+// Files still in an arena's sponsor playlist are kept unless ?force=true
+app.delete('/api/media/:id', auth.requireRole('producer', 'sponsor-manager'), (req, res) => {
+    const entry = media.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Media not found' });
+    const usedBy = arenas.all()
+        .filter(arena => arena.sponsors.some(sponsor => sponsor.url === entry.url))
+        .map(arena => arena.id);
+    if (usedBy.length && req.query.force !== 'true') {
+        return res.status(409).json({ error: 'Media is in use by sponsor playlists', arenas: usedBy });
+    }
+    media.remove(entry.id);
+    console.log('Removed media:', entry.fileName);
+    audit.record('media-delete', requestActor(req), { before: entry, usedBy });
+    res.json({ ok: true });
+});
+
+// Audit log, newest first up to ?limit=; ?format=jsonl downloads every matching entry in log order.
+// Filters: from, to, action (comma-separated), operator, arena, socket, device, ip.
+app.get('/api/audit', auth.requireRole('producer'), (req, res) => {
+    const { from, to, action, operator, arena, socket, device, ip, format, limit } = req.query;
+    let entries;
+    try {
+        entries = audit.query({ from, to, actions: action ? String(action).split(',') : null, operator, arena, socketId: socket, device, ip });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (format === 'jsonl') {
+        res.attachment('audit.jsonl');
+        res.type('application/x-ndjson');
+        return res.send(audit.toJsonl(entries));
+    }
+    const count = Math.min(audit.MAX_LIMIT, Math.max(1, Math.floor(Number(limit)) || audit.DEFAULT_LIMIT));
+    res.json(entries.slice(-count).reverse());
+});
+
+// Proof-of-play totals per sponsor per day, as JSON or with ?format=csv
+const REPORT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+app.get('/api/reports/impressions', auth.requireRole('producer', 'sponsor-manager'), (req, res) => {
+    const { from, to, arena, format } = req.query;
+    if ((from && !REPORT_DATE.test(from)) || (to && !REPORT_DATE.test(to))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    const rows = impressions.report({ from, to, arena });
+    if (format === 'csv') {
+        res.attachment(`impressions${from ? `-${from}` : ''}${to ? `-${to}` : ''}.csv`);
+        res.type('text/csv');
+        return res.send(impressions.toCsv(rows));
+    }
+    res.json(rows);
+});
+
+// Draw sheets: import the running order as CSV (text/csv) or JSON, replacing the current draw
+// unless ?append=true
+app.get('/api/draw', auth.requireRole('producer'), withArena, (req, res) => {
+    res.json(req.arena.drawState());
+});
+
+app.post('/api/draw', auth.requireRole('producer'), withArena, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+    const arena = req.arena;
+    try {
+        const rows = typeof req.body === 'string' ? csv.parseObjects(req.body) :
+            Array.isArray(req.body) ? req.body : (req.body && req.body.entries);
+        const count = draw.importEntries(arena.draw, rows, { append: req.query.append === 'true' });
+        arena.save();
+        console.log(`Imported ${count} contestants into the draw for arena ${arena.id}`);
+        emitDrawState(arena);
+        res.status(201).json({ imported: count, ...arena.drawState() });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.get('/api/draw/results', auth.requireRole('producer'), withArena, (req, res) => {
+    const rows = draw.results(req.arena.draw);
+    if (req.query.format === 'csv') {
+        res.attachment(`results-${req.arena.id}.csv`);
+        res.type('text/csv');
+        return res.send(csv.stringify(draw.RESULT_COLUMNS, rows));
+    }
+    res.json(rows);
+});
+
+// Program recordings, newest first; ?arena= limits them to one arena
+app.get('/api/recordings', auth.requireRole('producer'), (req, res) => {
+    const list = recordings.list();
+    res.json(req.query.arena ? list.filter(recording => recording.arena === req.query.arena) : list);
+});
+
+// Highlight clips: search by text, event or contributor; export as MP4 or a tar of JPEG frames
+app.get('/api/clips', auth.requireRole('producer'), (req, res) => {
+    const { q, event, contributor, arena } = req.query;
+    res.json(clips.search({ q, event, contributor, arena }));
+});
+
+// Cut a clip from a program recording: { recordingId, from, to, source, title, tags, event,
+// contestant }, times in ms
+app.post('/api/clips', auth.requireRole('producer'), (req, res) => {
+    const { recordingId, from, to, source, title, tags, event, contestant } = req.body || {};
+    const recording = recordings.get(recordingId);
+    if (!recording) return res.status(404).json({ error: 'Recording not found' });
+    const arena = arenas.get(recording.arena);
+    try {
+        if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) throw new Error('from and to must be times with from before to');
+        if (to - from > clips.MAX_CLIP_MS) throw new Error('Clips are limited to 5 minutes');
+        const frames = recordings.readFrames(recording.id, { from, to, source });
+        const clip = clips.create(frames, {
+            title,
+            tags,
+            arena: recording.arena,
+            source: source || 'program',
+            contributors: contributorNames(frames, id => recording.sources[id]),
+            // What is on now says nothing about an old recording, so the operator names the event
+            event: typeof event === 'string' ? event.slice(0, 100) : null,
+            contestant: typeof contestant === 'string' ? contestant.slice(0, 100) : null,
+            createdBy: req.operator.username
+        });
+        if (arena) io.to(arena.controlRoom).emit('clip-saved', clip);
+        res.status(201).json(clip);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.get('/api/clips/:id', auth.requireRole('producer'), (req, res) => {
+    const clip = clips.get(req.params.id);
+    if (!clip) return res.status(404).json({ error: 'Clip not found' });
+    res.json(clip);
+});
+
+app.get('/api/clips/:id/download', auth.requireRole('producer'), async (req, res) => {
+    const clip = clips.get(req.params.id);
+    if (!clip) return res.status(404).json({ error: 'Clip not found' });
+    const format = req.query.format || 'mp4';
+    const filename = `clip-${clip.startedAt.replace(/[:.]/g, '-')}-${clip.id.slice(0, 8)}`;
+    try {
+        if (format === 'frames') {
+            res.attachment(`${filename}.tar`);
+            return res.send(clips.imageSequence(clip));
+        }
+        if (clips.ANIMATION_FORMATS.includes(format)) {
+            const animation = await clips.encodeAnimation(clip, format);
+            res.attachment(`${filename}.${format}`);
+            return res.send(animation);
+        }
+        if (format !== 'mp4') return res.status(400).json({ error: `format must be mp4, frames, ${clips.ANIMATION_FORMATS.join(' or ')}` });
+        const video = await clips.encodeMp4(clip);
+        if (!video) return res.status(501).json({ error: 'MP4 export needs ffmpeg on the server; use format=webp, gif or frames instead' });
+        res.attachment(`${filename}.mp4`);
+        res.send(video);
+    } catch (err) {
+        console.error(`Clip export failed for ${clip.id}:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/clips/:id', auth.requireRole('producer'), (req, res) => {
+    if (!clips.remove(req.params.id)) return res.status(404).json({ error: 'Clip not found' });
+    res.status(204).end();
+});
+
+// Every display in an arena shows the slide the server picks, at the moment it picks it
+function startSponsorRotation(arena) {
+    arena.sponsorRotation = new SponsorRotation((slide) => {
+        if (slide) impressions.start(arena.id, 'rotation', null, slide.sponsor, { mode: sponsorMode(arena) });
+        else impressions.stop(arena.id, 'rotation', null);
+        io.to(arena.room).emit('sponsor-slide', withRenditions(arena, slide));
+    });
+    arena.sponsorRotation.setVideoAllowed(sponsorMode(arena) === 'fullscreen');
+    try {
+        arena.sponsors = arena.sponsorRotation.setPlaylist(arena.sponsors);
+    } catch (err) {
+        console.error(`Ignoring invalid saved sponsors for arena ${arena.id}:`, err.message);
+        arena.sponsors = [];
+    }
+    arena.sponsorRotation.start();
+}
+
+// Sponsors shown over camera footage are logged apart from full-screen slides
+function sponsorMode(arena) {
+    return layouts.layoutSources(arena.programLayout).length ? 'overlay' : 'fullscreen';
+}
+
+function sponsorRotationState(arena) {
+    const { current, paused } = arena.sponsorRotation.state();
+    return { current, paused };
+}
+
+function emitSponsorRotation(arena) {
+    io.to(arena.controlRoom).emit('sponsor-rotation-state', sponsorRotationState(arena));
+}
+
+// Clocks each arena runs on the server: sponsor slides and the run timer
+function startArenaServices(arena) {
+    startSponsorRotation(arena);
+    arena.runTimer = new RunTimer((state) => {
+        io.to(arena.room).emit('timer-state', state);
+    });
+    arena.programBuffer = new FrameBuffer(config.replayBufferSeconds);
+}
+
+function stopArenaServices(arena) {
+    arena.sponsorRotation.stop();
+    impressions.stopArena(arena.id);
+    arena.runTimer.dispose();
+    if (arena.replay) arena.replay.player.stop();
+    if (arena.recording) arena.recording.stop();
+    if (arena.failover) clearTimeout(arena.failover.timer);
+}
+
+// Bill what was on screen when the server last went down, before the rotations start logging again
+const interrupted = impressions.closeInterrupted();
+if (interrupted) console.warn(`Closed ${interrupted} sponsor impression(s) left open by the last run`);
+setInterval(() => impressions.checkpoint(), impressions.CHECKPOINT_MS).unref();
+arenas.all().forEach(startArenaServices);
+
+// Tell a phone which frame size and rate to send
+function sendStreamProfile(deviceId, state) {
+    io.to(deviceId).emit('stream-profile', streamProfiles.profileFor(state));
+}
+
+// Full quality for what is on air, thumbnails for everyone else
+function updateStreamModes(arena) {
+    arena.streamStates.forEach((state, deviceId) => {
+        const mode = arena.isOnAir(deviceId) ? 'live' : 'preview';
+        if (streamProfiles.setMode(state, mode)) sendStreamProfile(deviceId, state);
+    });
+}
+
+function emitBusState(arena) {
+    io.to(arena.room).emit('bus-state', arena.busState());
+}
+
+// Latest frames of the devices in a layout, keyed by device ID
+function layoutFrames(arena, layout) {
+    const frames = {};
+    layouts.layoutSources(layout).forEach(deviceId => {
+        if (arena.streams.has(deviceId)) frames[deviceId] = arena.streams.get(deviceId);
+    });
+    return frames;
+}
+
+// Arena display payload: the program layout plus frames for some of its devices.
+// `stream` still carries the main slot's frame for displays that only show one source.
+function arenaUpdate(arena, frames) {
+    const main = arena.activeLiveDevice;
+    return {
+        layout: arena.programLayout,
+        frames,
+        stream: main && frames[main] ? frames[main] : undefined
+    };
+}
+
+// Put a layout on the program bus. Cuts are instant; other transitions keep the outgoing
+// devices on air until the arena display has finished rendering the transition.
+function takeToProgram(arena, layout, transition) {
+    const from = arena.programLayout;
+    if (layouts.sameLayout(from, layout)) return;
+    console.log(`Taking ${layout.type} [${layout.slots.join(', ')}] to program (${transition.type} ${transition.duration}ms)`);
+
+    arena.setProgramLayout(layout);
+    arena.save();
+    // A cut during a replay returns the screens to live
+    if (arena.replay) arena.replay.player.stop();
+    // Going live interrupts a video spot
+    arena.sponsorRotation.setVideoAllowed(sponsorMode(arena) === 'fullscreen');
+    impressions.changeMode(arena.id, sponsorMode(arena));
+
+    clearTimeout(arena.transitionTimer);
+    arena.transition = null;
+    if (transition.duration > 0) {
+        arena.transition = { from, to: layout, ...transition, startedAt: Date.now() };
+        arena.transitionTimer = setTimeout(() => {
+            arena.transition = null;
+            updateStreamModes(arena);
+            emitBusState(arena);
+        }, transition.duration);
+    }
+    updateStreamModes(arena);
+
+    io.to(arena.displayRoom).emit('program-transition', { from, to: layout, ...transition });
+
+    // Send the latest frame of every device in the new layout
+    io.to(arena.displayRoom).emit('arena-update', arenaUpdate(arena, layoutFrames(arena, layout)));
+
+    // Notify all clients about the active device
+    io.to(arena.room).emit('live-device-changed', arena.activeLiveDevice);
+    emitBusState(arena);
+}
+
+// Failover is the server acting on its own, so the audit log has no operator for it
+const SYSTEM_ACTOR = { role: 'system' };
+
+function emitFailoverState(arena) {
+    io.to(arena.controlRoom).emit('failover-state', arena.failoverState());
+    // Displays holding the last frame also get it, in case they connected after it was sent
+    const frame = arena.failover && arena.failover.action === 'hold' ? arena.failover.frame : null;
+    io.to(arena.displayRoom).emit('failover-state', arena.failover ? { ...arena.failoverState(), frame } : null);
+}
+
+// Connected phone with the given fingerprint, other than the one being replaced
+function findDeviceByFingerprint(arena, fingerprint, except) {
+    for (const [deviceId, value] of arena.fingerprints) {
+        if (value === fingerprint && deviceId !== except && arena.hasDevice(deviceId)) return deviceId;
+    }
+    return null;
+}
+
+// The main program source dropped. lost: { id, name, fingerprint, frame }. If the backup drops
+// in turn, the failover carries on for the phone that dropped first.
+function startFailover(arena, lost) {
+    const previous = arena.failover;
+    if (previous) clearTimeout(previous.timer);
+    const settings = arena.failoverSettings;
+    const now = Date.now();
+    const backupId = settings.backup ? findDeviceByFingerprint(arena, settings.backup.fingerprint, lost.id) : null;
+    const action = failover.resolveAction(settings, Boolean(backupId));
+
+    let layout = layouts.fullLayout(null);
+    if (action === 'backup') layout = layouts.replaceSource(arena.programLayout, lost.id, backupId);
+    else if (action === 'hold') layout = arena.programLayout;
+
+    arena.failover = {
+        action,
+        lost: previous ? previous.lost : lost,
+        backupId: action === 'backup' ? backupId : null,
+        restoreLayout: previous ? previous.restoreLayout : arena.programLayout,
+        frame: previous && previous.action === 'hold' ? previous.frame : lost.frame,
+        slate: settings.slate,
+        startedAt: now,
+        expiresAt: previous ? previous.expiresAt : now + settings.graceSeconds * 1000,
+        restorable: true,
+        timer: null
+    };
+    console.log(`Live device ${lost.name || lost.id} dropped in arena ${arena.id}, failing over to ${action}`);
+    audit.record('failover', SYSTEM_ACTOR, { arena: arena.id, device: { id: lost.id, name: lost.name, fingerprint: lost.fingerprint }, failoverAction: action, before: arena.programLayout, after: layout });
+
+    takeToProgram(arena, layout, bus.normalizeTransition({ type: 'cut' }));
+    emitFailoverState(arena);
+    arena.failover.timer = setTimeout(() => expireFailover(arena), Math.max(0, arena.failover.expiresAt - now));
+}
+
+// The phone did not come back in time. A held frame gives way to the sponsor loop and a slate
+// stays up until an operator takes another shot; anything else is simply over.
+function expireFailover(arena) {
+    const current = arena.failover;
+    if (!current) return;
+    console.log(`Failover grace period over in arena ${arena.id}`);
+    if (current.action === 'slate') {
+        current.restorable = false;
+        emitFailoverState(arena);
+        return;
+    }
+    endFailover(arena, 'expired');
+    if (current.action === 'hold') {
+        takeToProgram(arena, layouts.replaceSource(arena.programLayout, current.lost.id, null), bus.normalizeTransition({ type: 'cut' }));
+    }
+}
+
+// outcome: 'restored', 'expired' or 'replaced' when an operator took another shot
+function endFailover(arena, outcome) {
+    const current = arena.failover;
+    if (!current) return;
+    clearTimeout(current.timer);
+    arena.failover = null;
+    io.to(arena.controlRoom).emit('failover-ended', { outcome, lostDevice: { name: current.lost.name } });
+    emitFailoverState(arena);
+}
+
+// The phone that dropped is back within the grace period: put the original shot back on air
+function restoreFromFailover(arena, deviceId) {
+    const current = arena.failover;
+    const restored = layouts.replaceSource(current.restoreLayout, current.lost.id, deviceId);
+    // Other sources of the original shot may have gone since
+    const layout = { ...restored, slots: restored.slots.map(slot => (slot && arena.hasDevice(slot) ? slot : null)) };
+    console.log(`Restoring ${current.lost.name || deviceId} to program in arena ${arena.id}`);
+    audit.record('failover-restore', SYSTEM_ACTOR, { arena: arena.id, device: deviceInfo(arena, deviceId), before: arena.programLayout, after: layout });
+    endFailover(arena, 'restored');
+    takeToProgram(arena, layout, bus.normalizeTransition({ type: 'cut' }));
+}
+
+function emitOverlayState(arena) {
+    io.to(arena.room).emit('overlay-state', arena.overlayState());
+}
+
+// Contestant, event and result data that overlay fields bind to
+function updateEventData(arena, update) {
+    arena.eventData = overlays.mergeEventData(arena.eventData, update);
+    arena.save();
+    emitOverlayState(arena);
+}
+
+function emitDrawState(arena) {
+    io.to(arena.controlRoom).emit('draw-state', arena.drawState());
+}
+
+// The contestant who is up feeds the overlays
+function setCurrentContestant(arena, entry) {
+    arena.save();
+    emitDrawState(arena);
+    updateEventData(arena, draw.eventData(entry));
+}
+
+// Keep every approved contributor's recent frames, plus the main program source's, for replay,
+// and write whatever is on air to the program recording
+function bufferFrame(arena, deviceId, data) {
+    let buffer = arena.frameBuffers.get(deviceId);
+    if (!buffer) {
+        buffer = new FrameBuffer(config.replayBufferSeconds);
+        arena.frameBuffers.set(deviceId, buffer);
+    }
+    buffer.push(deviceId, data);
+    if (deviceId === arena.activeLiveDevice) arena.programBuffer.push(deviceId, data);
+    if (arena.recording && arena.isOnAir(deviceId)) {
+        try {
+            arena.recording.append(deviceId, arena.deviceNames.get(deviceId), data);
+        } catch (err) {
+            console.error(`Program recording failed for arena ${arena.id}:`, err);
+            stopRecording(arena);
+        }
+    }
+}
+
+function stopRecording(arena) {
+    const recording = arena.recording;
+    arena.recording = null;
+    let meta = recording.meta;
+    try {
+        meta = recording.stop();
+    } catch (err) {
+        console.error(`Could not close program recording ${meta.id}:`, err);
+    }
+    io.to(arena.controlRoom).emit('recording-state', { recording: null, last: meta });
+    return meta;
+}
+
+// Play the last seconds of program or of one contributor to the displays, then go back to live
+function startReplay(arena, { source = 'program', seconds = DEFAULT_REPLAY_SECONDS, speed = 0.5 } = {}) {
+    const buffer = source === 'program' ? arena.programBuffer : arena.frameBuffers.get(source);
+    const length = Math.max(1, Math.min(config.replayBufferSeconds, Number(seconds) || DEFAULT_REPLAY_SECONDS));
+    const frames = buffer ? buffer.last(length * 1000) : [];
+    if (frames.length === 0) throw new Error('No recent frames to replay from that source');
+
+    if (arena.replay) arena.replay.player.stop();
+    const player = new ReplayPlayer(frames, {
+        speed,
+        onFrame: (frame) => {
+            frameRelay.sendToRoom(arena.displayRoom, 'replay-frame', 'replay', {
+                source: frame.source,
+                at: frame.at,
+                stream: frame.data
+            });
+        },
+        onEnd: (interrupted) => {
+            if (!arena.replay || arena.replay.player !== player) return;
+            arena.replay = null;
+            io.to(arena.room).emit('replay-end', { interrupted });
+            // Back to live
+            io.to(arena.displayRoom).emit('arena-update', arenaUpdate(arena, layoutFrames(arena, arena.programLayout)));
+        }
+    });
+    const info = {
+        source,
+        seconds: length,
+        speed: player.speed,
+        frames: frames.length,
+        durationMs: player.durationMs,
+        bug: 'REPLAY',
+        startedAt: Date.now()
+    };
+    arena.replay = { player, info };
+    console.log(`Replaying ${length}s of ${source} at ${player.speed}x in arena ${arena.id}`);
+    io.to(arena.room).emit('replay-start', info);
+    player.start();
+    return info;
+}
+
+// Names of the contributors seen in a run of frames, in order of appearance
+function contributorNames(frames, nameOf) {
+    const sources = [...new Set(frames.map(frame => frame.source))];
+    return [...new Set(sources.map(source => nameOf(source) || 'Unknown'))];
+}
+
+// Cut a clip from the replay buffer between the operator's in and out points
+function saveBufferedClip(arena, mark, out, details) {
+    const buffer = mark.source === 'program' ? arena.programBuffer : arena.frameBuffers.get(mark.source);
+    const frames = buffer ? buffer.between(mark.at, out) : [];
+    if (frames.length === 0) throw new Error('The in point is no longer in the replay buffer');
+    const clip = clips.create(frames, {
+        ...details,
+        arena: arena.id,
+        source: mark.source,
+        contributors: contributorNames(frames, id => arena.deviceNames.get(id)),
+        event: arena.eventData.event.name,
+        contestant: arena.eventData.contestant.name
+    });
+    console.log(`Saved clip ${clip.id} (${clip.frames} frames) in arena ${arena.id}`);
+    io.to(arena.controlRoom).emit('clip-saved', clip);
+    return clip;
+}
+
+// Who did something, for the audit log
+function clientAddress(socket) {
+    const forwarded = config.trustProxy && socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+function socketActor(socket) {
+    const { username, role } = socket.data.operator;
+    return { socketId: socket.id, operator: username, role, ip: clientAddress(socket) };
+}
+
+function requestActor(req) {
+    return { operator: req.operator ? req.operator.username : null, role: req.operator ? req.operator.role : null, ip: req.ip };
+}
+
+function deviceInfo(arena, deviceId) {
+    const pending = arena.pendingDevices.get(deviceId);
+    return {
+        id: deviceId,
+        name: pending ? pending.name : arena.deviceNames.get(deviceId) || null,
+        fingerprint: arena.fingerprints.get(deviceId) || null
+    };
+}
+
+// Clients may send anything, including null, as a payload
+function objectPayload(data) {
+    return data && typeof data === 'object' ? data : {};
+}
+
+// Phones send a stable ID kept in local storage; fall back to address and browser
+function deviceFingerprint(socket, data) {
+    if (typeof data.fingerprint === 'string' && data.fingerprint.length > 0 && data.fingerprint.length <= 128) {
+        return data.fingerprint;
+    }
+    // Behind a reverse proxy the socket address is the proxy's, shared by every phone
+    const source = `${clientAddress(socket)}|${socket.handshake.headers['user-agent'] || ''}`;
+    return crypto.createHash('sha256').update(source).digest('hex').slice(0, 32);
+}
+
+function pendingList(arena) {
+    return Array.from(arena.pendingDevices.values());
+}
+
+// Move a contributor out of the lobby so it shows up in every control room and can go live
+function admitDevice(arena, deviceId, name) {
+    const fingerprint = arena.fingerprints.get(deviceId);
+    arena.pendingDevices.delete(deviceId);
+    arena.deviceNames.set(deviceId, name);
+    if (fingerprint && !arena.approvedFingerprints.includes(fingerprint)) {
+        arena.approvedFingerprints.push(fingerprint);
+    }
+    arena.save();
+
+    io.to(deviceId).emit('device-approved');
+    io.to(arena.producerRoom).emit('pending-devices-update', pendingList(arena));
+    io.to(arena.controlRoom).emit('device-connected', {
+        id: deviceId,
+        name
+    });
+
+    const pendingFailover = arena.failover;
+    if (pendingFailover && pendingFailover.restorable && fingerprint && fingerprint === pendingFailover.lost.fingerprint &&
+        Date.now() <= pendingFailover.expiresAt) {
+        restoreFromFailover(arena, deviceId);
+        return;
+    }
+
+    // Socket IDs change across a restart, so rebind saved program slots by device fingerprint
+    const program = arena.programLayout;
+    const restored = {
+        ...program,
+        slots: program.slots.map((slotDevice, index) => {
+            const waiting = slotDevice && !arena.deviceNames.has(slotDevice);
+            return waiting && fingerprint && arena.programSlotFingerprints[index] === fingerprint ? deviceId : slotDevice;
+        })
+    };
+    if (!layouts.sameLayout(program, restored)) {
+        console.log('Restoring live device:', name);
+        endFailover(arena, 'restored');
+        takeToProgram(arena, restored, bus.normalizeTransition({ type: 'cut' }));
+    }
+}
+
+// Turn a contributor away, optionally blocking its fingerprint for the rest of the event
+function refuseDevice(arena, deviceId, reason, block) {
+    const entry = arena.pendingDevices.get(deviceId);
+    const name = entry ? entry.name : arena.deviceNames.get(deviceId);
+    const fingerprint = arena.fingerprints.get(deviceId);
+    if (!name) return;
+
+    if (block && fingerprint && !arena.findBlock(fingerprint)) {
+        arena.blockedDevices.push({ fingerprint, name, reason, blockedAt: new Date().toISOString() });
+    }
+    // Otherwise a rejected phone would skip the lobby on its next reconnect
+    if (fingerprint) {
+        arena.approvedFingerprints = arena.approvedFingerprints.filter(value => value !== fingerprint);
+        arena.save();
+    }
+
+    io.to(deviceId).emit('device-rejected', { reason, blocked: Boolean(block) });
+    const socket = io.sockets.sockets.get(deviceId);
+    if (socket) socket.disconnect(true);
+}
+
+// Adjust each contributor to what it and its viewers can keep up with, and report to control rooms
+const STREAM_CHECK_INTERVAL_MS = 2000;
+setInterval(() => {
+    arenas.all().forEach(arena => {
+        const stats = [];
+        arena.streamStates.forEach((state, deviceId) => {
+            const drops = frameRelay.takeSourceDrops(deviceId);
+            const dropped = Object.values(drops).reduce((sum, count) => sum + count, 0);
+            // A live phone is judged by the arena displays only, so a slow control room tablet
+            // cannot pull the program picture down
+            const viewerDrops = state.mode === 'live' ? drops['arena-update'] || 0 : dropped;
+            if (streamProfiles.evaluate(state, viewerDrops)) {
+                sendStreamProfile(deviceId, state);
+            }
+            const deviceTelemetry = arena.telemetry.get(deviceId);
+            if (deviceTelemetry) telemetry.recordRelayDrops(deviceTelemetry, dropped);
+            stats.push({
+                id: deviceId,
+                transport: arena.transports.get(deviceId) || 'frames',
+                ...streamProfiles.describe(state)
+            });
+        });
+        if (stats.length) io.to(arena.controlRoom).emit('device-stats', stats);
+        emitDeviceHealth(arena);
+    });
+}, STREAM_CHECK_INTERVAL_MS).unref();
+
+// Health of every approved contributor. Warnings that just appeared are also sent on their own.
+function emitDeviceHealth(arena) {
+    const devices = [];
+    arena.telemetry.forEach((deviceTelemetry, deviceId) => {
+        if (!arena.deviceNames.has(deviceId)) return;
+        const socket = io.sockets.sockets.get(deviceId);
+        const state = arena.streamStates.get(deviceId);
+        const { health, raised } = telemetry.check(deviceTelemetry, {
+            lastFrameAt: state ? state.lastFrameAt : 0,
+            transport: arena.transports.get(deviceId) || 'frames',
+            serverRttMs: socket && socket.data.clock ? socket.data.clock.rttMs : null
+        });
+        const device = { id: deviceId, name: arena.deviceNames.get(deviceId), live: arena.isOnAir(deviceId), ...health };
+        devices.push(device);
+        raised.forEach(warning => {
+            io.to(arena.controlRoom).emit('device-warning', { id: deviceId, name: device.name, live: device.live, ...warning });
+        });
+    });
+    if (devices.length) io.to(arena.controlRoom).emit('device-health', devices);
+}
+
+// Identify every connection before any event handler runs
+io.use(auth.socketMiddleware);
+
+// Every connection belongs to exactly one arena, picked with the `arena` handshake query
+io.use((socket, next) => {
+    const arena = arenas.get(socket.handshake.auth.arena || socket.handshake.query.arena);
+    if (!arena) return next(new Error('unknown-arena'));
+    socket.data.arenaId = arena.id;
+    next();
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-    console.log('New device connected:', socket.id);
-    
+    const { username, role } = socket.data.operator;
+    const arena = arenas.get(socket.data.arenaId);
+    console.log('New device connected:', socket.id, username ? `(${username}, ${role})` : `(${role})`, `arena ${arena.id}`);
+
+    // Events for this arena only reach clients in its room
+    socket.join(arena.room);
+
+    // Only let each role send the events it is allowed to
+    socket.use(auth.eventGuard(socket));
+
     // Send current settings to new connections
-    socket.emit('initial-settings', {
-        display: displaySettings,
-        mobile: mobileSettings
-    });
-    
-    socket.on('register-mobile-device', (data) => {
-        console.log('Mobile device registered:', data.name);
-        io.emit('device-connected', {
+    socket.emit('initial-settings', arena.getSettings());
+    socket.emit('webrtc-config', { iceServers: config.iceServers });
+
+    // Measure this client's clock so every screen shows the same timer
+    attachClockSync(socket);
+
+    // Peer-to-peer video signaling; camera-stream below stays as the fallback path
+    attachSignaling(io, socket, arena);
+
+    const logAction = (action, change = {}) => audit.record(action, socketActor(socket), { arena: arena.id, ...change });
+
+    // Handlers that destructure their payload always get an object
+    const on = (event, handler) => socket.on(event, data => handler(objectPayload(data)));
+
+    // Identify control room connections
+    socket.on('control-room-connected', () => {
+        socket.join(arena.controlRoom);
+        console.log('Control room connected:', socket.id);
+
+        // Send list of currently connected devices
+        const deviceList = Array.from(arena.deviceNames.entries()).map(([id, name]) => ({
+            id,
+            name,
+            preview: arena.streams.get(id) || null,
+            transport: arena.transports.get(id) || 'frames'
+        }));
+        socket.emit('device-list-update', deviceList);
+        socket.emit('sponsor-rotation-state', sponsorRotationState(arena));
+        socket.emit('draw-state', arena.drawState());
+        socket.emit('failover-settings-updated', failover.publicSettings(arena.failoverSettings));
+
+        // Only producers moderate the lobby
+        if (socket.data.operator.role === 'producer') {
+            socket.join(arena.producerRoom);
+            socket.emit('pending-devices-update', pendingList(arena));
+            socket.emit('blocked-devices-update', arena.blockedDevices);
+        }
+    });
+
+    // Identify arena display connections
+    socket.on('arena-display-connected', () => {
+        socket.join(arena.displayRoom);
+        console.log('Arena display connected:', socket.id);
+
+        // Show the program straight away instead of waiting for the next frames
+        socket.emit('arena-update', arenaUpdate(arena, layoutFrames(arena, arena.programLayout)));
+        socket.emit('sponsor-slide', withRenditions(arena, arena.sponsorRotation.current));
+        if (arena.failover) {
+            const frame = arena.failover.action === 'hold' ? arena.failover.frame : null;
+            socket.emit('failover-state', { ...arena.failoverState(), frame });
+        }
+    });
+
+    on('register-mobile-device', (data) => {
+        const name = String(data.name || 'Anonymous').trim().slice(0, 40) || 'Anonymous';
+        const fingerprint = deviceFingerprint(socket, data);
+
+        const block = arena.findBlock(fingerprint);
+        if (block) {
+            console.log('Blocked device tried to register:', name);
+            socket.emit('device-rejected', { reason: block.reason, blocked: true });
+            socket.disconnect(true);
+            return;
+        }
+
+        console.log('Mobile device registered:', name);
+        arena.fingerprints.set(socket.id, fingerprint);
+        socket.join(arena.mobileRoom);
+        // Send current mobile settings to new device
+        socket.emit('mobile-settings-updated', arena.mobileSettings);
+
+        // Start every phone on preview thumbnails until it goes live
+        const streamState = streamProfiles.createStreamState();
+        arena.streamStates.set(socket.id, streamState);
+        sendStreamProfile(socket.id, streamState);
+        const deviceTelemetry = telemetry.createTelemetry();
+        telemetry.recordReport(deviceTelemetry, data.telemetry);
+        arena.telemetry.set(socket.id, deviceTelemetry);
+
+        // Phones approved earlier in the event skip the lobby, e.g. after a reconnect
+        if (arena.approvedFingerprints.includes(fingerprint)) {
+            admitDevice(arena, socket.id, name);
+            return;
+        }
+
+        // New contributors wait in the lobby until a producer decides
+        arena.pendingDevices.set(socket.id, {
             id: socket.id,
-            name: data.name
+            name,
+            fingerprint,
+            requestedAt: new Date().toISOString()
         });
-        // Send current mobile settings to new device
-        socket.emit('mobile-settings-updated', mobileSettings);
+        socket.emit('device-pending');
+        io.to(arena.producerRoom).emit('pending-devices-update', pendingList(arena));
+    });
+
+    // Lobby decisions from producers
+    on('approve-device', ({ deviceId }) => {
+        const entry = arena.pendingDevices.get(deviceId);
+        if (!entry) return;
+        console.log('Approved device:', entry.name);
+        logAction('approve-device', { device: deviceInfo(arena, deviceId) });
+        admitDevice(arena, deviceId, entry.name);
+    });
+
+    on('reject-device', ({ deviceId, reason }) => {
+        console.log('Rejected device:', deviceId);
+        logAction('reject-device', { device: deviceInfo(arena, deviceId), reason: reason || null });
+        refuseDevice(arena, deviceId, reason || 'Not accepted by the producer', false);
+    });
+
+    on('block-device', ({ deviceId, reason }) => {
+        console.log('Blocked device:', deviceId);
+        logAction('block-device', { device: deviceInfo(arena, deviceId), reason: reason || null });
+        refuseDevice(arena, deviceId, reason || 'Blocked for this event', true);
+        io.to(arena.producerRoom).emit('blocked-devices-update', arena.blockedDevices);
+    });
+
+    on('unblock-device', ({ fingerprint }) => {
+        const block = arena.findBlock(fingerprint);
+        if (block) logAction('unblock-device', { device: { id: null, name: block.name, fingerprint }, before: block });
+        arena.blockedDevices = arena.blockedDevices.filter(entry => entry.fingerprint !== fingerprint);
+        arena.save();
+        io.to(arena.producerRoom).emit('blocked-devices-update', arena.blockedDevices);
     });
 
-    socket.on('camera-stream', (data) => {
+    // Phones may send their telemetry along with a frame, or on its own with device-telemetry
+    socket.on('camera-stream', (data, report) => {
+        if (!arena.isRegistered(socket.id)) return;
+        if (report) recordTelemetry(report);
+
+        // Discard frames sent well above the rate this phone was asked for
+        const streamState = arena.streamStates.get(socket.id);
+        if (streamState && !streamProfiles.recordFrame(streamState, data)) return;
+
+        // Pending contributors are previewed to producers only
+        if (arena.pendingDevices.has(socket.id)) {
+            frameRelay.sendToRoom(arena.producerRoom, 'pending-preview', socket.id, {
+                id: socket.id,
+                stream: data
+            });
+            return;
+        }
+
         // Store the stream data
-        streams.set(socket.id, data);
-        
-        // Send preview to control room
-        io.emit('preview-update', {
+        arena.streams.set(socket.id, data);
+        bufferFrame(arena, socket.id, data);
+
+        // Send preview to control rooms only
+        frameRelay.sendToRoom(arena.controlRoom, 'preview-update', socket.id, {
             id: socket.id,
             stream: data
         });
 
-        // If this is the active device, send to arena
-        if (socket.id === activeLiveDevice) {
-            io.emit('arena-update', {
-                stream: data
-            });
+        // If this device is on air, send to arena displays. Outgoing sources are sent during a transition.
+        // Live frames wait while a replay is on screen.
+        if (arena.isOnAir(socket.id) && !arena.replay) {
+            frameRelay.sendToRoom(arena.displayRoom, 'arena-update', socket.id, arenaUpdate(arena, { [socket.id]: data }));
         }
     });
 
+    function recordTelemetry(report) {
+        const deviceTelemetry = arena.telemetry.get(socket.id);
+        if (deviceTelemetry) telemetry.recordReport(deviceTelemetry, report);
+    }
+
+    socket.on('device-telemetry', (report) => recordTelemetry(report));
+
+    // Immediate cut to a device, bypassing the preview bus
     socket.on('go-live', (deviceId) => {
+        // Only approved devices connected to this arena can be put live here
+        if (deviceId !== null && !arena.hasDevice(deviceId)) {
+            console.warn(`Ignoring go-live for unknown device ${deviceId} in arena ${arena.id}`);
+            return;
+        }
         console.log('Setting device live:', deviceId);
-        activeLiveDevice = deviceId;
-        
-        // Send initial frame if available
-        const stream = streams.get(deviceId);
-        if (stream) {
-            io.emit('arena-update', {
-                stream: stream
-            });
+        logAction('go-live', { device: deviceId && deviceInfo(arena, deviceId), before: arena.programLayout, after: layouts.fullLayout(deviceId) });
+        endFailover(arena, 'replaced');
+        takeToProgram(arena, layouts.fullLayout(deviceId), bus.normalizeTransition({ type: 'cut' }));
+    });
+
+    // Immediate cut to a multi-source layout
+    socket.on('set-layout', (layout) => {
+        const normalized = layouts.normalizeLayout(layout, deviceId => arena.hasDevice(deviceId));
+        logAction('set-layout', { before: arena.programLayout, after: normalized });
+        endFailover(arena, 'replaced');
+        takeToProgram(arena, normalized, bus.normalizeTransition({ type: 'cut' }));
+    });
+
+    // Stage the next shot on the preview bus, either a single device or a layout
+    socket.on('cue-preview', (deviceId) => {
+        if (deviceId !== null && !arena.hasDevice(deviceId)) return;
+        arena.previewLayout = layouts.fullLayout(deviceId);
+        emitBusState(arena);
+    });
+
+    socket.on('cue-layout', (layout) => {
+        arena.previewLayout = layouts.normalizeLayout(layout, deviceId => arena.hasDevice(deviceId));
+        emitBusState(arena);
+    });
+
+    // Swap preview and program with the requested or default transition
+    socket.on('take', (transition) => {
+        const next = arena.previewLayout;
+        logAction('take', { before: arena.programLayout, after: next });
+        endFailover(arena, 'replaced');
+        arena.previewLayout = arena.programLayout;
+        takeToProgram(arena, next, bus.normalizeTransition(transition, arena.transitionDefaults));
+    });
+
+    socket.on('set-transition', (transition) => {
+        arena.transitionDefaults = bus.normalizeTransition(transition, arena.transitionDefaults);
+        arena.save();
+        emitBusState(arena);
+    });
+
+    // Overlays: each one is updated, shown, hidden and animated independently
+    function findOverlay(id) {
+        const overlay = Object.hasOwn(arena.overlays, id) ? arena.overlays[id] : null;
+        if (!overlay) socket.emit('overlay-error', { id, error: `Unknown overlay: ${id}` });
+        return overlay;
+    }
+
+    on('overlay-update', ({ id, fields, animation }) => {
+        const overlay = findOverlay(id);
+        if (!overlay) return;
+        overlay.fields = { ...overlay.fields, ...overlays.normalizeFields(id, fields) };
+        if (animation) overlay.animation = overlays.normalizeAnimation(animation, overlays.TRANSITIONS, overlay.animation);
+        arena.save();
+        emitOverlayState(arena);
+    });
+
+    function setOverlayVisible(id, visible, animation) {
+        const overlay = findOverlay(id);
+        if (!overlay) return;
+        overlay.visible = visible;
+        arena.save();
+        io.to(arena.room).emit('overlay-animate', {
+            id,
+            visible,
+            animation: overlays.normalizeAnimation(animation, overlays.TRANSITIONS, overlay.animation)
+        });
+        emitOverlayState(arena);
+    }
+
+    on('overlay-show', ({ id, animation }) => setOverlayVisible(id, true, animation));
+    on('overlay-hide', ({ id, animation }) => setOverlayVisible(id, false, animation));
+
+    // One-off emphasis such as a pulse when a new time comes in
+    on('overlay-animate', ({ id, animation }) => {
+        const overlay = findOverlay(id);
+        if (!overlay || !overlay.visible) return;
+        const emphasis = overlays.normalizeAnimation(animation, overlays.EMPHASIS, { type: 'pulse', duration: 600 });
+        io.to(arena.room).emit('overlay-animate', { id, visible: true, animation: emphasis });
+    });
+
+    socket.on('update-event-data', (update) => updateEventData(arena, update));
+
+    // Step through the draw; results go to the current contestant unless another is named
+    function drawAction(action) {
+        try {
+            action();
+        } catch (err) {
+            socket.emit('draw-error', { error: err.message });
+        }
+    }
+
+    socket.on('draw-next', () => drawAction(() => {
+        const entry = draw.step(arena.draw, 1);
+        if (!entry) throw new Error('Nobody left to run in the draw');
+        setCurrentContestant(arena, entry);
+    }));
+
+    socket.on('draw-previous', () => drawAction(() => {
+        const entry = draw.step(arena.draw, -1);
+        if (!entry) throw new Error('Already at the start of the draw');
+        setCurrentContestant(arena, entry);
+    }));
+
+    on('draw-select', ({ id }) => drawAction(() => {
+        setCurrentContestant(arena, draw.select(arena.draw, id));
+    }));
+
+    on('record-result', ({ id, ...result }) => drawAction(() => {
+        const previous = arena.draw.entries.find(entry => entry.id === (id || arena.draw.currentId));
+        const before = previous && structuredClone(previous);
+        const entry = draw.recordResult(arena.draw, id || arena.draw.currentId, result);
+        logAction('record-result', { before, after: entry });
+        if (entry.id === arena.draw.currentId) setCurrentContestant(arena, entry);
+        else {
+            arena.save();
+            emitDrawState(arena);
+        }
+    }));
+
+    // Run timer; a stopped time can go straight to the current contestant
+    function timerAction(action) {
+        try {
+            action();
+        } catch (err) {
+            socket.emit('timer-error', { error: err.message });
+        }
+    }
+
+    socket.on('timer-start', () => timerAction(() => arena.runTimer.start()));
+
+    on('timer-stop', ({ post }) => timerAction(() => {
+        arena.runTimer.stop();
+        if (!post) return;
+        const entry = draw.current(arena.draw);
+        if (!entry) throw new Error('No current contestant to post the time to');
+        const seconds = Math.round(arena.runTimer.elapsedMs() / 10) / 100;
+        setCurrentContestant(arena, draw.recordResult(arena.draw, entry.id, { time: seconds }));
+    }));
+
+    on('timer-reset', (options) => timerAction(() => arena.runTimer.reset(options)));
+
+    // Instant replay: { source: 'program' | deviceId, seconds, speed: 0.25 | 0.5 | 1 }
+    socket.on('replay', (options) => {
+        try {
+            startReplay(arena, options || {});
+        } catch (err) {
+            socket.emit('replay-error', { error: err.message });
+        }
+    });
+
+    socket.on('replay-stop', () => {
+        if (arena.replay) arena.replay.player.stop();
+    });
+
+    // Record everything on program to disk until stopped
+    socket.on('recording-start', () => {
+        if (arena.recording) return;
+        try {
+            arena.recording = new recordings.Recording(arena.id, socket.data.operator.username);
+        } catch (err) {
+            socket.emit('recording-error', { error: err.message });
+            return;
         }
+        console.log('Recording program:', arena.recording.meta.id);
+        logAction('recording-start', { recording: arena.recording.meta.id });
+        io.to(arena.controlRoom).emit('recording-state', { recording: arena.recording.meta });
+    });
+
+    socket.on('recording-stop', () => {
+        if (!arena.recording) return;
+        const meta = stopRecording(arena);
+        console.log(`Stopped recording ${meta.id}: ${meta.frames} frames`);
+        logAction('recording-stop', { recording: meta.id, frames: meta.frames });
+    });
 
-        // Notify all clients about the active device
-        io.emit('live-device-changed', deviceId);
+    // Clip marking: the in point is kept per operator until the out point saves the clip. Both
+    // use server time so they line up with the buffered frames.
+    socket.on('clip-mark-in', (options) => {
+        const source = (options && options.source) || 'program';
+        if (source !== 'program' && !arena.frameBuffers.has(source)) {
+            socket.emit('clip-error', { error: 'No recent frames from that source' });
+            return;
+        }
+        socket.data.clipIn = { source, at: Date.now() };
+        socket.emit('clip-marked', socket.data.clipIn);
     });
 
-    // Handle sponsor updates
+    socket.on('clip-mark-out', (options) => {
+        const mark = socket.data.clipIn;
+        if (!mark) {
+            socket.emit('clip-error', { error: 'Mark an in point first' });
+            return;
+        }
+        try {
+            saveBufferedClip(arena, mark, Date.now(), {
+                title: options && options.title,
+                tags: options && options.tags,
+                createdBy: socket.data.operator.username
+            });
+            socket.data.clipIn = null;
+        } catch (err) {
+            socket.emit('clip-error', { error: err.message });
+        }
+    });
+
+    // Replace the sponsor playlist; the rotation picks it up without restarting the current slide
     socket.on('update-sponsors', (sponsors) => {
-        console.log('Updating sponsors:', sponsors);
-        socket.broadcast.emit('update-sponsors', sponsors);
+        const before = arena.sponsors;
+        try {
+            arena.sponsors = arena.sponsorRotation.setPlaylist(sponsors);
+        } catch (err) {
+            socket.emit('sponsor-error', { error: err.message });
+            return;
+        }
+        console.log(`Updating sponsors for arena ${arena.id}: ${arena.sponsors.length} in playlist`);
+        logAction('update-sponsors', { before, after: arena.sponsors });
+        arena.save();
+        // Everyone gets the stored playlist back, including the sender, so generated IDs line up
+        io.to(arena.room).emit('update-sponsors', arena.sponsors);
+        emitSponsorRotation(arena);
+    });
+
+    // Arena displays confirm what they actually put on screen, for proof-of-play
+    on('sponsor-shown', ({ sponsorId, mode }) => {
+        const sponsor = arena.sponsors.find(entry => entry.id === sponsorId);
+        if (!sponsor) return;
+        const modeReported = impressions.MODES.includes(mode);
+        impressions.start(arena.id, 'display', socket.id, sponsor, { mode: modeReported ? mode : sponsorMode(arena), modeReported });
+    });
+
+    socket.on('sponsor-hidden', () => {
+        impressions.stop(arena.id, 'display', socket.id);
+    });
+
+    // Video spots: the rotation moves on when the clip ends rather than on a timer
+    on('sponsor-playback', ({ sponsorId, state, durationMs, error }) => {
+        const rotation = arena.sponsorRotation;
+        if (state === 'started') {
+            rotation.playbackStarted(sponsorId, durationMs);
+        } else if (state === 'ended') {
+            rotation.playbackEnded(sponsorId);
+        } else if (state === 'error') {
+            console.log(`Display ${socket.id} could not play sponsor ${sponsorId}:`, error);
+            io.to(arena.controlRoom).emit('sponsor-playback-error', { sponsorId, displayId: socket.id, error: error || null });
+            const displayIds = Array.from(io.sockets.adapter.rooms.get(arena.displayRoom) || []);
+            rotation.playbackFailed(sponsorId, socket.id, displayIds.length ? displayIds : [socket.id]);
+        }
+    });
+
+    on('sponsor-rotation', ({ action }) => {
+        const rotation = arena.sponsorRotation;
+        if (action === 'pause') rotation.pause();
+        else if (action === 'resume') rotation.resume();
+        else if (action === 'skip') rotation.skip();
+        else return socket.emit('sponsor-error', { error: `Unknown rotation action: ${action}` });
+        logAction('sponsor-rotation', { rotationAction: action });
+        emitSponsorRotation(arena);
+    });
+
+    // Failover settings: { action, fallback, backupDeviceId, graceSeconds, slate: { text, imageUrl } }
+    socket.on('update-failover', (update = {}) => {
+        const before = arena.failoverSettings;
+        try {
+            const { backupDeviceId, ...rest } = update || {};
+            const changes = { ...rest };
+            if (backupDeviceId === null) changes.backup = null;
+            else if (backupDeviceId !== undefined) {
+                const fingerprint = arena.fingerprints.get(backupDeviceId);
+                if (!arena.hasDevice(backupDeviceId) || !fingerprint) throw new Error('The backup must be an approved, connected device');
+                changes.backup = { fingerprint, name: arena.deviceNames.get(backupDeviceId) };
+            }
+            arena.failoverSettings = failover.normalizeFailover(changes, arena.failoverSettings);
+        } catch (err) {
+            socket.emit('failover-error', { error: err.message });
+            return;
+        }
+        arena.save();
+        logAction('update-failover', { before, after: arena.failoverSettings });
+        io.to(arena.controlRoom).emit('failover-settings-updated', failover.publicSettings(arena.failoverSettings));
     });
 
     // Handle display settings updates
-    socket.on('update-display-settings', (settings) => {
+    on('update-display-settings', (settings) => {
         console.log('Updating display settings:', settings);
+        const before = structuredClone(arena.displaySettings);
         // Update stored settings
-        if (settings.margins) displaySettings.margins = settings.margins;
-        if (settings.colors) displaySettings.colors = settings.colors;
+        if (settings.margins) {
+            arena.displaySettings.margins = settings.margins;
+            scheduleDisplayRenditions();
+        }
+        if (settings.colors) arena.displaySettings.colors = settings.colors;
+        arena.save();
+        logAction('update-display-settings', { before, after: arena.displaySettings });
         // Broadcast to all clients
-        socket.broadcast.emit('display-settings-updated', settings);
+        socket.to(arena.room).emit('display-settings-updated', settings);
     });
 
     // Handle mobile settings updates
     socket.on('update-mobile-settings', (settings) => {
         console.log('Updating mobile settings:', settings);
+        const before = arena.mobileSettings;
         // Update stored settings
-        mobileSettings = { ...mobileSettings, ...settings };
+        arena.mobileSettings = { ...arena.mobileSettings, ...settings };
+        arena.save();
+        logAction('update-mobile-settings', { before, after: arena.mobileSettings });
         // Broadcast to all clients
-        socket.broadcast.emit('mobile-settings-updated', settings);
+        socket.to(arena.room).emit('mobile-settings-updated', settings);
     });
 
-    // Handle file uploads
-    socket.on('upload-sponsor', (data) => {
-        const { fileName, fileData } = data;
-        const filePath = path.join(__dirname, 'public', 'uploads', fileName);
-        
-        // Ensure uploads directory exists
-        if (!fs.existsSync(path.join(__dirname, 'public', 'uploads'))) {
-            fs.mkdirSync(path.join(__dirname, 'public', 'uploads'), { recursive: true });
-        }
-
-        // Save the file
-        fs.writeFileSync(filePath, Buffer.from(fileData.split(',')[1], 'base64'));
-        
-        // Send back the public URL
-        const publicUrl = `/uploads/${fileName}`;
-        socket.emit('sponsor-uploaded', { url: publicUrl });
+    // Older control rooms upload over the socket; the file goes through the same checks as /api/media
+    on('upload-sponsor', (data) => {
+        const fileName = typeof data.fileName === 'string' ? data.fileName : null;
+        Promise.resolve()
+            .then(() => {
+                const { declaredType, buffer } = media.decodeDataUrl(data.fileData);
+                return ingestMedia(buffer, {
+                    originalName: fileName,
+                    declaredType,
+                    uploadedBy: socket.data.operator.username
+                });
+            })
+            .then(({ entry, duplicate }) => {
+                logAction('media-upload', { after: entry, duplicate });
+                socket.emit('sponsor-uploaded', { ...entry, duplicate });
+            })
+            .catch((err) => {
+                console.log('Sponsor upload refused:', err.message);
+                socket.emit('sponsor-upload-error', { fileName, error: err.message });
+            });
     });
 
-    socket.on('disconnect', () => {
+    socket.on('disconnect', (reason) => {
         console.log('Device disconnected:', socket.id);
-        streams.delete(socket.id);
-        
-        // Clear active device if it disconnected
-        if (socket.id === activeLiveDevice) {
-            activeLiveDevice = null;
-            io.emit('live-device-changed', null);
+        const isDevice = arena.fingerprints.has(socket.id);
+        const device = isDevice ? deviceInfo(arena, socket.id) : null;
+        logAction('disconnect', { device, reason });
+        const lostLive = isDevice && arena.activeLiveDevice === socket.id ? { ...device, frame: arena.streams.get(socket.id) || null } : null;
+        frameRelay.forget(socket.id);
+        impressions.stop(arena.id, 'display', socket.id);
+        arena.streams.delete(socket.id);
+        arena.streamStates.delete(socket.id);
+        arena.telemetry.delete(socket.id);
+        arena.frameBuffers.delete(socket.id);
+        arena.fingerprints.delete(socket.id);
+        if (arena.pendingDevices.delete(socket.id)) {
+            io.to(arena.producerRoom).emit('pending-devices-update', pendingList(arena));
+        }
+        if (arena.deviceNames.delete(socket.id)) {
+            io.to(arena.controlRoom).emit('device-disconnected', socket.id);
+        }
+
+        // A removed arena has nothing left to fail over or cut
+        if (arena.removed) return;
+
+        // Empty any bus slots the device was in
+        if (layouts.hasSource(arena.previewLayout, socket.id)) {
+            arena.previewLayout = layouts.replaceSource(arena.previewLayout, socket.id, null);
+            emitBusState(arena);
+        }
+        if (lostLive) {
+            startFailover(arena, lostLive);
+        } else if (layouts.hasSource(arena.programLayout, socket.id)) {
+            takeToProgram(arena, layouts.replaceSource(arena.programLayout, socket.id, null), bus.normalizeTransition({ type: 'cut' }));
         }
     });
 });
 
+// Issue or renew the server certificate from the local CA when needed
+async function loadCertificates() {
+    if (!config.tls.manage) {
+        return { key: fs.readFileSync(config.tls.key), cert: fs.readFileSync(config.tls.cert) };
+    }
+    const { key, cert } = await certs.ensureCertificates(config);
+    return { key, cert };
+}
+
+// Check once a day so a long-running server renews before its certificate expires
+const CERT_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
 // Start server
-const PORT = 3000;
-server.listen(PORT, () => {
-    console.log(`Server running on https://${IP_ADDRESS}:${PORT}`);
-    console.log(`QR code will point to: https://${IP_ADDRESS}:${PORT}/mobile`);
-});
\ No newline at end of file
+loadCertificates().then((credentials) => {
+    server.setSecureContext(credentials);
+
+    server.listen(config.port, config.bind, () => {
+        console.log(`Server running on ${config.publicUrl}`);
+        console.log(`QR code will point to: ${mobileUrl(arenas.get())}`);
+        if (config.lanAddresses.length > 1) {
+            console.log('Other LAN addresses:', config.lanAddresses.map(({ name, address }) => `${address} (${name})`).join(', '));
+        }
+    });
+
+    if (httpServer) {
+        httpServer.listen(config.httpPort, config.bind, () => {
+            console.log(`Plain HTTP listener on port ${config.httpPort}`);
+        });
+    }
+
+    if (config.tls.manage) {
+        setInterval(() => {
+            loadCertificates()
+                .then((renewed) => server.setSecureContext(renewed))
+                .catch((err) => console.error('Certificate renewal failed:', err));
+        }, CERT_CHECK_INTERVAL_MS).unref();
+    }
+}).catch((err) => {
+    console.error('Could not load TLS certificates:', err);
+    process.exit(1);
+});